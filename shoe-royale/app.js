@@ -12,10 +12,22 @@ const { ensureAuthenticated, ensureAdmin } = require('./middleware/auth');
 const bcrypt = require('bcryptjs');
 const ExpressError = require('./utils/ExpressError');
 const wrapAsync = require("./utils/wrapAsync");
+const sizeSystems = require('./utils/sizeSystems');
+const recommendations = require('./utils/recommendations');
+const notifications = require('./utils/notifications');
+const priceWatch = require('./utils/priceWatch');
+const sales = require('./utils/sales');
+const recentlyViewed = require('./utils/recentlyViewed');
+const guestCart = require('./utils/guestCart');
+const compare = require('./utils/compare');
+const inventory = require('./utils/inventory');
 
 // Import models
 const Product = require('./models/Product');
 const User = require('./models/User');
+const Category = require('./models/Category');
+const Review = require('./models/Review');
+const CouponRedemption = require('./models/CouponRedemption');
 
 // Import routes
 const adminRoutes = require('./routes/admin');
@@ -67,6 +79,19 @@ app.use((req, res, next) => {
   res.locals.error = req.flash('error');
   res.locals.user = req.user || null;
   res.locals.title = 'Royal Footwear';
+  res.locals.currentUrl = req.originalUrl;
+
+  // Size system the shopper reads sizes in (session choice, then saved preference)
+  res.locals.sizeSystem = req.session.sizeSystem ||
+    (req.user && req.user.preferredSizeSystem) ||
+    sizeSystems.DEFAULT_SYSTEM;
+  res.locals.sizeSystems = sizeSystems.SIZE_SYSTEMS;
+  res.locals.formatSize = (size, item) => sizeSystems.formatSize(size, item, res.locals.sizeSystem);
+  res.locals.productUrl = Product.urlFor.bind(Product);
+
+  // Products picked for /products/compare (session)
+  res.locals.compareIds = compare.getIds(req);
+  res.locals.compareMax = compare.MAX_COMPARE;
   next();
 });
 
@@ -148,21 +173,30 @@ app.get('/', async (req, res) => {
     .sort({ createdAt: -1 })
     .lean();
     
-    // Get category images
-    const categoryImages = {};
-    const categories = ['sneakers', 'formal', 'boots', 'sandals', 'sports', 'loafers'];
-    
-    for (const category of categories) {
-      const product = await Product.findOne({ 
-        category: category,
-        'sizes.quantity': { $gt: 0 }
-      })
-      .sort({ createdAt: -1 })
-      .lean();
+    // Home page tiles come from the top-level categories
+    const categoryTiles = [];
+    const categoryTree = await Category.getTree({ activeOnly: true });
+    const subtreeSlugs = await Category.getSubtreeSlugMap({ activeOnly: true });
+    
+    for (const category of categoryTree) {
+      let image = category.image?.secure_url || category.image?.url;
       
-      if (product?.colors?.[0]?.images?.[0]?.url) {
-        categoryImages[category] = product.colors[0].images[0].url;
+      // No uploaded tile image: use the newest in-stock product anywhere in the subtree
+      if (!image) {
+        const product = await Product.findOne({ 
+          category: { $in: subtreeSlugs.get(category.slug) || [category.slug] },
+          'sizes.quantity': { $gt: 0 }
+        })
+        .sort({ createdAt: -1 })
+        .lean();
+        
+        image = product?.colors?.[0]?.images?.[0]?.url || `/images/category-${category.slug}.jpg`;
       }
+      
+      categoryTiles.push({
+        ...category,
+        tileImage: image
+      });
     }
     
     // Get hero image
@@ -193,7 +227,7 @@ app.get('/', async (req, res) => {
       title: 'Royal Footwear - Premium Shoes Collection',
       user: req.user,
       featuredProducts: enhancedProducts,
-      categoryImages: categoryImages,
+      categoryTiles: categoryTiles,
       heroImage: heroImage,
       success_msg: req.flash('success_msg'),
       error_msg: req.flash('error_msg')
@@ -205,7 +239,7 @@ app.get('/', async (req, res) => {
       title: 'Royal Footwear',
       user: req.user,
       featuredProducts: [],
-      categoryImages: {},
+      categoryTiles: [],
       heroImage: '/images/hero-shoe.png',
       error_msg: 'Error loading page'
     });
@@ -323,13 +357,27 @@ app.post('/register', async (req, res) => {
 
     // Auto login after registration
     console.log('🔐 Attempting auto-login...');
-    req.login(newUser, (err) => {
+    const guestViews = recentlyViewed.fromSession(req);
+    const guestItems = guestCart.fromSession(req);
+    req.login(newUser, async (err) => {
       if (err) {
         console.error('❌ Auto login error:', err);
         req.flash('success_msg', '🎉 Registration successful! Please login.');
         return res.redirect('/login');
       }
       
+      try {
+        await recentlyViewed.mergeIntoUser(newUser, guestViews);
+      } catch (error) {
+        console.error('Recently viewed merge error:', error);
+      }
+      
+      try {
+        await guestCart.mergeIntoUser(newUser, guestItems);
+      } catch (error) {
+        console.error('Guest cart merge error:', error);
+      }
+      
       console.log('✅ Auto-login successful');
       req.flash('success_msg', `🎉 Welcome ${newUser.name}! Registration successful.`);
       return res.redirect('/');
@@ -357,11 +405,31 @@ app.post('/register', async (req, res) => {
 
 // Login Handle
 app.post('/login', (req, res, next) => {
+  // Logging in regenerates the session, so keep the guest's browsing history and cart first
+  const guestViews = recentlyViewed.fromSession(req);
+  const guestItems = guestCart.fromSession(req);
+  
   passport.authenticate('local', {
-    successRedirect: '/',
     failureRedirect: '/login',
     failureFlash: true
-  })(req, res, next);
+  })(req, res, async () => {
+    try {
+      await recentlyViewed.mergeIntoUser(req.user, guestViews);
+    } catch (error) {
+      console.error('Recently viewed merge error:', error);
+    }
+    
+    try {
+      const merged = await guestCart.mergeIntoUser(req.user, guestItems);
+      if (merged > 0) {
+        req.flash('success_msg', `${merged} item(s) from your guest cart were added to your cart`);
+        return res.redirect('/cart');
+      }
+    } catch (error) {
+      console.error('Guest cart merge error:', error);
+    }
+    res.redirect('/');
+  });
 });
 
 // Logout Handle
@@ -386,22 +454,80 @@ app.get('/logout', (req, res, next) => {
   });
 });
 
+// Set the preferred size system (picker on product, cart and order pages)
+app.post('/size-system', async (req, res) => {
+  const system = sizeSystems.normalizeSystem(req.body.sizeSystem);
+  // Only ever redirect back to a path on this site
+  const returnTo = /^\/(?![\/\\])/.test(req.body.returnTo || '') ? req.body.returnTo : '/';
+
+  if (!system) {
+    req.flash('error_msg', 'Unknown size system');
+    return res.redirect(returnTo);
+  }
+
+  try {
+    req.session.sizeSystem = system;
+
+    if (req.user) {
+      await User.findByIdAndUpdate(req.user._id, { preferredSizeSystem: system });
+    }
+  } catch (error) {
+    console.error('Size system update error:', error);
+  }
+
+  res.redirect(returnTo);
+});
+
 // Profile Page (Protected)
-app.get('/profile', (req, res) => {
+app.get('/profile', async (req, res) => {
   if (!req.isAuthenticated()) {
     req.flash('error_msg', 'Please login to view your profile');
     return res.redirect('/login');
   }
   
+  let reviewsCount = 0;
+  let couponsUsed = 0;
+  let recentlyViewedProducts = [];
+  try {
+    [reviewsCount, couponsUsed, recentlyViewedProducts] = await Promise.all([
+      Review.countDocuments({ user: req.user._id }),
+      CouponRedemption.countDocuments({ user: req.user._id }),
+      recentlyViewed.getProducts(req, { limit: 12 })
+    ]);
+  } catch (error) {
+    console.error('Profile stats error:', error);
+  }
+  
   res.render('auth/profile', {
     title: 'My Profile | Royal Footwear',
     user: req.user,
     success_msg: req.flash('success_msg'),
     error_msg: req.flash('error_msg'),
-    orders: [] // You can add actual orders from database
+    orders: [], // You can add actual orders from database
+    reviewsCount,
+    couponsUsed,
+    recentlyViewedProducts
   });
 });
 
+// Clear Recently Viewed History
+app.post('/profile/recently-viewed/clear', async (req, res) => {
+  if (!req.isAuthenticated()) {
+    req.flash('error_msg', 'Please login to update your profile');
+    return res.redirect('/login');
+  }
+  
+  try {
+    await recentlyViewed.clear(req);
+    req.flash('success_msg', 'Browsing history cleared');
+  } catch (error) {
+    console.error('Clear history error:', error);
+    req.flash('error_msg', 'Failed to clear browsing history');
+  }
+  
+  res.redirect('/profile#recently-viewed');
+});
+
 // Update Profile
 app.post('/profile/update', async (req, res) => {
   if (!req.isAuthenticated()) {
@@ -522,8 +648,13 @@ app.post('/profile/change-password', async (req, res) => {
 
 
 // Other routes
+const cartRoutes = require('./routes/cart');
+app.use('/cart', cartRoutes);
+app.use('/products/cart', cartRoutes);   // Older URLs; mounted before /products so /:id doesn't catch them
 app.use('/products', require('./routes/products'));
-app.use('/cart', require('./routes/cart'));
+app.use('/brands', require('./routes/brands'));
+app.use('/p', require('./routes/productPages'));
+app.use('/checkout', require('./routes/checkout'));
 app.use('/orders', require('./routes/orders'));
 
 // Contact page
@@ -575,4 +706,19 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📁 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`✅ Authentication system ready`);
+
+  // "Customers also bought" lists: rebuilt now and every RECOMMENDATIONS_REFRESH_HOURS
+  recommendations.startSchedule();
+
+  // Scheduled sales: start and end sale prices every SALES_CHECK_MINUTES
+  sales.startSchedule();
+
+  // Wishlist price-drop alerts: checked now and every PRICE_WATCH_INTERVAL_HOURS
+  priceWatch.startSchedule();
+
+  // Retry queued customer notifications (back-in-stock alerts, price drops, ...)
+  notifications.startDelivery();
+
+  // Checkout stock holds (STOCK_HOLD_MINUTES): expired ones go back on sale
+  inventory.startSchedule();
 });
\ No newline at end of file
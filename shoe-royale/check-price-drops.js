@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const priceWatch = require('./utils/priceWatch');
+const notifications = require('./utils/notifications');
+require('dotenv').config();
+
+// Runs the wishlist price-drop check once and exits. The web app also runs it on its
+// own schedule; use this from cron when it doesn't (or right after a price import).
+async function checkPriceDrops() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const result = await priceWatch.checkPrices();
+        console.log(`Checked ${result.wishlists} wishlist(s), notified ${result.notified} shopper(s) in ${result.durationMs}ms`);
+
+        // Send what was queued before exiting
+        const delivery = await notifications.deliver();
+        console.log(`Notifications: ${delivery.sent} sent, ${delivery.failed} failed`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error checking wishlist prices:', error);
+        process.exit(1);
+    }
+}
+
+checkPriceDrops();
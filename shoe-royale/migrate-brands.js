@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Product = require('./models/Product');
+const Brand = require('./models/Brand');
+const Wishlist = require('./models/Wishlist');
+require('dotenv').config();
+
+// Creates a Brand for every brand name products use.
+// Spellings that differ only by case or spacing ("nike", " Nike") are folded
+// into one brand, using the spelling most products have (or the existing
+// Brand's name), and the products are renamed to match.
+async function migrateBrands() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const usage = await Product.aggregate([
+            { $group: { _id: '$brand', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+        ]);
+
+        // Group spellings by their normalized form, most used first
+        const groups = new Map();
+        usage.forEach(row => {
+            const spelling = String(row._id || '').trim();
+            if (!spelling) return;
+
+            const key = spelling.toLowerCase().replace(/\s+/g, ' ');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row._id);
+        });
+
+        let created = 0;
+        let renamed = 0;
+
+        for (const spellings of groups.values()) {
+            let brand = await Brand.findByName(spellings[0]);
+
+            if (!brand) {
+                brand = await Brand.create({ name: spellings[0].trim().replace(/\s+/g, ' ') });
+                created++;
+                console.log(`Created brand "${brand.name}" (${brand.slug})`);
+            }
+
+            for (const spelling of spellings) {
+                if (spelling === brand.name) continue;
+
+                const result = await Product.updateMany({ brand: spelling }, { $set: { brand: brand.name } });
+                await Wishlist.updateMany(
+                    { 'items.brand': spelling },
+                    { $set: { 'items.$[item].brand': brand.name } },
+                    { arrayFilters: [{ 'item.brand': spelling }] }
+                );
+                renamed += result.modifiedCount;
+                console.log(`Renamed "${spelling}" -> "${brand.name}" on ${result.modifiedCount} product(s)`);
+            }
+        }
+
+        console.log(`Brand migration complete: ${created} brand(s) created, ${renamed} product(s) renamed`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating brands:', error);
+        process.exit(1);
+    }
+}
+
+migrateBrands();
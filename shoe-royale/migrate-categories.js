@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Product = require('./models/Product');
+const Category = require('./models/Category');
+require('dotenv').config();
+
+// Moves the old hard-coded category list into the categories collection.
+// Seeds the default categories, then creates a top-level category for any
+// category string products use that has no matching slug yet.
+async function migrateCategories() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        await Category.ensureDefaults();
+
+        const usedSlugs = await Product.distinct('category');
+        const existingSlugs = new Set(await Category.distinct('slug'));
+        let created = 0;
+
+        for (const value of usedSlugs) {
+            const slug = Category.slugify(value);
+
+            if (!slug || existingSlugs.has(slug)) {
+                continue;
+            }
+
+            await Category.create({
+                name: value.charAt(0).toUpperCase() + value.slice(1),
+                slug: slug,
+                sortOrder: existingSlugs.size + 1
+            });
+            existingSlugs.add(slug);
+            created++;
+
+            console.log(`Created category "${slug}"`);
+        }
+
+        // Product.category stores slugs; normalize any legacy spellings
+        for (const value of usedSlugs) {
+            const slug = Category.slugify(value);
+            if (slug && slug !== value) {
+                const result = await Product.updateMany({ category: value }, { $set: { category: slug } });
+                console.log(`Renamed "${value}" -> "${slug}" on ${result.modifiedCount} product(s)`);
+            }
+        }
+
+        console.log(`Category migration complete: ${created} category(ies) created`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating categories:', error);
+        process.exit(1);
+    }
+}
+
+migrateCategories();
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const Product = require('./models/Product');
+require('dotenv').config();
+
+// Gives every product without a slug one, so /p/:slug links work for the
+// whole catalogue (the save hook on Product builds and de-duplicates it).
+// Oldest products are saved first and keep the unsuffixed slugs.
+async function migrateSlugs() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const products = await Product.find({
+            $or: [
+                { slug: { $exists: false } },
+                { slug: null },
+                { slug: '' }
+            ]
+        }).sort({ createdAt: 1 });
+        console.log(`Found ${products.length} product(s) without a slug`);
+
+        for (const product of products) {
+            product.slug = undefined;
+            await product.save();
+            console.log(`"${product.name}" -> /p/${product.slug}`);
+        }
+
+        console.log(`Slug migration complete: ${products.length} product(s) updated`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating slugs:', error);
+        process.exit(1);
+    }
+}
+
+migrateSlugs();
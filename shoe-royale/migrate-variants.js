@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Product = require('./models/Product');
+require('dotenv').config();
+
+// Converts legacy per-size stock into size × color variants.
+// Old data does not say which color a size's stock belongs to, so each
+// size's quantity is split evenly across the product's colors (any
+// remainder goes to the first colors). Totals per size stay the same.
+async function migrateVariants() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+        
+        const products = await Product.find({
+            $or: [
+                { variants: { $exists: false } },
+                { variants: { $size: 0 } }
+            ]
+        });
+        console.log(`Found ${products.length} product(s) without variants`);
+        
+        let migrated = 0;
+        
+        for (const product of products) {
+            const colorNames = product.colors && product.colors.length > 0
+                ? product.colors.map(color => color.name)
+                : ['Default'];
+            
+            const variants = [];
+            
+            product.sizes.forEach(sizeEntry => {
+                const quantity = sizeEntry.quantity || 0;
+                const share = Math.floor(quantity / colorNames.length);
+                let remainder = quantity % colorNames.length;
+                
+                colorNames.forEach(colorName => {
+                    let stock = share;
+                    if (remainder > 0) {
+                        stock += 1;
+                        remainder -= 1;
+                    }
+                    
+                    variants.push({
+                        size: sizeEntry.size,
+                        color: colorName,
+                        stock: stock
+                    });
+                });
+            });
+            
+            if (variants.length === 0) {
+                console.log(`Skipped "${product.name}" (no sizes)`);
+                continue;
+            }
+            
+            product.variants = variants;
+            await product.save();
+            migrated++;
+            
+            console.log(`Migrated "${product.name}" -> ${variants.length} variant(s)`);
+        }
+        
+        console.log(`Variant migration complete: ${migrated} product(s) updated`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error migrating variants:', error);
+        process.exit(1);
+    }
+}
+
+migrateVariants();
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+const brandSchema = new mongoose.Schema({
+  // Products store this name in Product.brand, so it doubles as the brand's key
+  name: {
+    type: String,
+    required: [true, 'Brand name is required'],
+    unique: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  logo: {
+    url: String,
+    public_id: String,
+    secure_url: String
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  country: {
+    type: String,   // Country of origin, e.g. "India"
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+brandSchema.statics.slugify = slugify;
+
+// Case-insensitive lookup by name ("nike" finds "Nike")
+brandSchema.statics.findByName = function(name) {
+  return this.findOne({ name: String(name || '').trim() })
+    .collation({ locale: 'en', strength: 2 });
+};
+
+// Pick a slug no other brand uses: "nike", then "nike-2", "nike-3", ...
+brandSchema.statics.uniqueSlug = async function(name, excludeId) {
+  const base = slugify(name) || 'brand';
+  let slug = base;
+  let suffix = 2;
+
+  while (await this.exists({ slug, ...(excludeId ? { _id: { $ne: excludeId } } : {}) })) {
+    slug = `${base}-${suffix++}`;
+  }
+
+  return slug;
+};
+
+brandSchema.pre('validate', async function() {
+  if (!this.slug && this.name) {
+    this.slug = await this.constructor.uniqueSlug(this.name, this._id);
+  }
+});
+
+module.exports = mongoose.model('Brand', brandSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { SIZE_SYSTEMS } = require('../utils/sizeSystems');
 
 const cartItemSchema = new mongoose.Schema({
     product: {
@@ -26,9 +27,20 @@ const cartItemSchema = new mongoose.Schema({
         default: 1
     },
     size: {
-        type: Number,
+        type: Number,   // In the product's base size system (half sizes allowed)
         required: true
     },
+    sizeSystem: {
+        type: String,
+        enum: SIZE_SYSTEMS,
+        default: 'US'
+    },
+    gender: {
+        type: String    // Which conversion chart the size is on
+    },
+    sku: {
+        type: String
+    },
     color: {
         name: String,
         code: String
@@ -54,69 +66,89 @@ const cartSchema = new mongoose.Schema({
         required: true,
         unique: true
     },
-    items: [cartItemSchema]
+    items: [cartItemSchema],
+    // Promo code applied from the cart page (see utils/coupons.js)
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+    }
 }, {
     timestamps: true
 });
 
-// Static method to add item to cart (SIMPLE VERSION)
-// Static method to add item to cart with duplicate check
-cartSchema.statics.addToCart = async function(userId, itemData) {
-  try {
-    let cart = await this.findOne({ user: userId });
-    
-    if (!cart) {
-      cart = new this({
-        user: userId,
-        items: []
-      });
-    }
-    
+// Instance method to add an item, or more of one already in the cart (same product, size and color).
+// Doesn't save, so it works for session-backed guest carts too (see utils/guestCart.js).
+cartSchema.methods.addItem = function(itemData) {
     // Check if item already exists with same size and color
-    const existingItemIndex = cart.items.findIndex(item =>
-      item.product.toString() === itemData.productId &&
-      item.size === itemData.size &&
-      item.color?.name === itemData.color
-    );
+    const existingItem = this.findItem(itemData.productId, itemData.size, itemData.color);
     
     const quantityToAdd = parseInt(itemData.quantity) || 1;
     
-    if (existingItemIndex > -1) {
-      // Update quantity (this case should be handled by route now)
-      cart.items[existingItemIndex].quantity += quantityToAdd;
-    } else {
-      // Add new item
-      const newItem = {
+    if (existingItem) {
+        // Update quantity (this case should be handled by route now)
+        existingItem.quantity += quantityToAdd;
+        return existingItem;
+    }
+    
+    // Add new item
+    const newItem = {
         product: itemData.productId,
         name: itemData.name,
         price: itemData.price || 0,
         discountPrice: itemData.discountPrice,
         quantity: quantityToAdd,
         size: itemData.size,
+        sizeSystem: itemData.sizeSystem,
+        gender: itemData.gender,
+        sku: itemData.sku,
         color: {
-          name: itemData.color,
-          code: itemData.colorCode || '#000000'
+            name: itemData.color,
+            code: itemData.colorCode || '#000000'
         },
         brand: itemData.brand,
         category: itemData.category
-      };
-      
-      // Add image
-      if (itemData.image && typeof itemData.image === 'object') {
+    };
+    
+    // Add image
+    if (itemData.image && typeof itemData.image === 'object') {
         newItem.image = {
-          url: itemData.image.url || '/images/default-shoe.jpg',
-          secure_url: itemData.image.secure_url || itemData.image.url || '/images/default-shoe.jpg'
+            url: itemData.image.url || '/images/default-shoe.jpg',
+            secure_url: itemData.image.secure_url || itemData.image.url || '/images/default-shoe.jpg'
         };
-      } else {
+    } else {
         newItem.image = {
-          url: '/images/default-shoe.jpg',
-          secure_url: '/images/default-shoe.jpg'
+            url: '/images/default-shoe.jpg',
+            secure_url: '/images/default-shoe.jpg'
         };
-      }
-      
-      cart.items.push(newItem);
     }
     
+    this.items.push(newItem);
+    return this.items[this.items.length - 1];
+};
+
+// Instance method to find the line for a product in a given size and color
+cartSchema.methods.findItem = function(productId, size, colorName) {
+    return this.items.find(item =>
+        item.product._id.toString() === productId.toString() &&
+        item.size === Number(size) &&
+        (item.color?.name || '') === (colorName || '')
+    );
+};
+
+// Static method to add item to cart with duplicate check
+cartSchema.statics.addToCart = async function(userId, itemData) {
+  try {
+    let cart = await this.findOne({ user: userId });
+    
+    if (!cart) {
+      cart = new this({
+        user: userId,
+        items: []
+      });
+    }
+    
+    cart.addItem(itemData);
+    
     await cart.save();
     return cart;
     
@@ -124,7 +156,8 @@ cartSchema.statics.addToCart = async function(userId, itemData) {
     throw error;
   }
 };
-// Instance method to calculate totals
+// Instance method to calculate totals.
+// The applied coupon only counts when it has been loaded (utils/coupons.loadCoupon).
 cartSchema.methods.calculateTotals = function() {
     try {
         const subtotal = this.items.reduce((sum, item) => {
@@ -138,22 +171,41 @@ cartSchema.methods.calculateTotals = function() {
             return sum;
         }, 0);
         
-        const total = subtotal - discountTotal;
+        let coupon = null;
+        if (this.coupon && typeof this.coupon.evaluate === 'function') {
+            const result = this.coupon.evaluate(this.items);
+            coupon = {
+                code: this.coupon.code,
+                label: this.coupon.getDiscountLabel(),
+                discount: result.discount,
+                freeShipping: result.freeShipping,
+                error: result.error
+            };
+        }
+        const couponDiscount = coupon ? coupon.discount : 0;
+        
+        const total = subtotal - discountTotal - couponDiscount;
         const itemCount = this.items.reduce((sum, item) => sum + item.quantity, 0);
         
         return {
             subtotal,
             discountTotal,
+            couponDiscount,
+            freeShipping: Boolean(coupon && coupon.freeShipping),
+            coupon,
             total,
             itemCount,
             productCount: this.items.length,
-            savings: discountTotal
+            savings: discountTotal + couponDiscount
         };
     } catch (error) {
         console.error('Error calculating totals:', error);
         return {
             subtotal: 0,
             discountTotal: 0,
+            couponDiscount: 0,
+            freeShipping: false,
+            coupon: null,
             total: 0,
             itemCount: 0,
             productCount: 0,
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+// The catalogue the store started with; seeded when the collection is empty
+const DEFAULT_CATEGORIES = [
+  { name: 'Sneakers', slug: 'sneakers', description: 'Comfort meets style', icon: 'fas fa-running', badge: 'Trending', sortOrder: 1 },
+  { name: 'Formal', slug: 'formal', description: 'Elegance redefined', icon: 'fas fa-user-tie', sortOrder: 2 },
+  { name: 'Boots', slug: 'boots', description: 'Adventure ready', icon: 'fas fa-hiking', badge: 'New', sortOrder: 3 },
+  { name: 'Sandals', slug: 'sandals', description: 'Summer essentials', icon: 'fas fa-umbrella-beach', sortOrder: 4 },
+  { name: 'Sports', slug: 'sports', description: 'Performance gear', icon: 'fas fa-basketball-ball', sortOrder: 5 },
+  { name: 'Loafers', slug: 'loafers', description: 'Casual luxury', icon: 'fas fa-gem', sortOrder: 6 }
+];
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  description: {
+    type: String,   // Short tagline shown on the home page tile
+    trim: true
+  },
+  image: {
+    url: String,
+    public_id: String,
+    secure_url: String
+  },
+  icon: {
+    type: String,   // Font Awesome classes, e.g. "fas fa-running"
+    trim: true
+  },
+  badge: {
+    type: String,   // Optional tile ribbon such as "New"
+    trim: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+categorySchema.statics.slugify = slugify;
+
+// Categories in display order with their children nested under `children`.
+// With activeOnly, an inactive category is left out together with everything under it.
+categorySchema.statics.getTree = async function({ activeOnly = false } = {}) {
+  const categories = await this.find()
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+
+  const byId = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+
+  byId.forEach(category => {
+    const parent = category.parent && byId.get(category.parent.toString());
+    if (parent) {
+      parent.children.push(category);
+    } else {
+      roots.push(category);
+    }
+  });
+
+  if (!activeOnly) return roots;
+
+  const prune = nodes => nodes
+    .filter(node => node.isActive)
+    .map(node => ({ ...node, children: prune(node.children) }));
+  return prune(roots);
+};
+
+// Tree flattened depth-first with a `depth` on each entry (for selects and admin tables)
+categorySchema.statics.getFlatList = async function(options) {
+  const flat = [];
+  const walk = (nodes, depth) => nodes.forEach(node => {
+    flat.push({ ...node, depth });
+    walk(node.children, depth + 1);
+  });
+
+  walk(await this.getTree(options), 0);
+  return flat;
+};
+
+// slug -> that category's slug plus the slugs of everything nested under it
+// ("sports" also matches products filed under "running"), from a single query.
+// With activeOnly, disabled categories and everything under them are left out, as in getTree().
+categorySchema.statics.getSubtreeSlugMap = async function({ activeOnly = false } = {}) {
+  const all = await this.find({}, 'slug parent isActive').lean();
+  const byId = new Map(all.map(category => [category._id.toString(), category]));
+  const shown = category => {
+    if (!activeOnly) return true;
+    const parent = category.parent && byId.get(category.parent.toString());
+    return category.isActive && (!parent || shown(parent));
+  };
+  const categories = all.filter(shown);
+  const childrenOf = new Map();
+
+  categories.forEach(category => {
+    const parentId = category.parent ? category.parent.toString() : null;
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(category);
+  });
+
+  const subtrees = new Map();
+  categories.forEach(root => {
+    const slugs = [root.slug];
+    const queue = [root._id.toString()];
+
+    while (queue.length > 0) {
+      (childrenOf.get(queue.shift()) || []).forEach(child => {
+        slugs.push(child.slug);
+        queue.push(child._id.toString());
+      });
+    }
+    subtrees.set(root.slug, slugs);
+  });
+
+  return subtrees;
+};
+
+// A category's slug plus the slugs of everything nested under it; empty when there is no
+// such category (or, with activeOnly, when it is hidden)
+categorySchema.statics.getSubtreeSlugs = async function(slug, options) {
+  return (await this.getSubtreeSlugMap(options)).get(slug) || [];
+};
+
+// Would making `parentId` the parent of `categoryId` create a loop?
+categorySchema.statics.wouldCreateCycle = async function(categoryId, parentId) {
+  let current = parentId ? parentId.toString() : null;
+
+  while (current) {
+    if (current === categoryId.toString()) return true;
+    const parent = await this.findById(current, 'parent').lean();
+    current = parent && parent.parent ? parent.parent.toString() : null;
+  }
+
+  return false;
+};
+
+// slug -> display name, for labelling product category slugs
+categorySchema.statics.getNameMap = async function() {
+  const categories = await this.find({}, 'slug name').lean();
+  return new Map(categories.map(category => [category.slug, category.name]));
+};
+
+// Insert the default categories if none exist yet
+categorySchema.statics.ensureDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) return 0;
+
+  await this.insertMany(DEFAULT_CATEGORIES);
+  console.log(`📂 Seeded ${DEFAULT_CATEGORIES.length} default categories`);
+  return DEFAULT_CATEGORIES.length;
+};
+
+categorySchema.pre('validate', function() {
+  if (!this.slug && this.name) {
+    this.slug = this.constructor.slugify(this.name);
+  }
+});
+
+const Category = mongoose.model('Category', categorySchema);
+
+Category.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = Category;
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+
+const COUPON_TYPES = ['percent', 'fixed', 'free_shipping'];
+
+// A promo code shoppers apply to their cart. utils/coupons.js checks the per-user
+// limit (which needs the redemption log) and loads the category subtree; everything
+// else is decided here by evaluate().
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: 30
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  type: {
+    type: String,
+    enum: COUPON_TYPES,
+    default: 'percent'
+  },
+  // Percent off, or rupees off for 'fixed'; unused for 'free_shipping'
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Upper bound on a percent discount, in rupees
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Spend needed on the eligible items, after product discounts
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  categories: [{
+    type: String,   // Category slugs; subcategories are included. Empty means any
+    lowercase: true,
+    trim: true
+  }],
+  brands: [{
+    type: String,   // Brand names, as stored on products. Empty means any
+    trim: true
+  }],
+  // Total redemptions allowed across all shoppers; empty means unlimited
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  // Redemptions allowed per shopper; empty means unlimited
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function() {
+  if (this.type === 'percent' && !(this.value > 0 && this.value <= 100)) {
+    this.invalidate('value', 'A percent discount must be between 0 and 100');
+  }
+  if (this.type === 'fixed' && !(this.value > 0)) {
+    this.invalidate('value', 'Discount must be more than zero');
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'The coupon must expire after it starts');
+  }
+});
+
+// 'paused', 'scheduled', 'expired', 'used up' or 'active'
+couponSchema.methods.getStatus = function(now = new Date()) {
+  if (!this.isActive) return 'paused';
+  if (this.startsAt && now < this.startsAt) return 'scheduled';
+  if (this.expiresAt && now >= this.expiresAt) return 'expired';
+  if (this.usageLimit && this.usedCount >= this.usageLimit) return 'used up';
+  return 'active';
+};
+
+couponSchema.methods.getDiscountLabel = function() {
+  if (this.type === 'free_shipping') return 'Free shipping';
+  if (this.type === 'fixed') return `₹${this.value} off`;
+  return `${this.value}% off` + (this.maxDiscount ? ` (up to ₹${this.maxDiscount})` : '');
+};
+
+// Whether a cart item counts towards the coupon
+couponSchema.methods.appliesTo = function(item) {
+  const categories = this.$locals.categorySlugs || new Set(this.categories);
+  if (categories.size > 0 && !categories.has(item.category)) return false;
+  if (this.brands.length > 0 && !this.brands.includes(item.brand)) return false;
+  return true;
+};
+
+/**
+ * Work out the coupon for a set of cart items.
+ * @param {Array} items - cart items (price, discountPrice, quantity, category, brand)
+ * @param {Date} [now]
+ * @returns {{ discount: number, freeShipping: boolean, eligibleSubtotal: number, error: string|null }}
+ *   error explains why the coupon doesn't apply; discount is 0 then
+ */
+couponSchema.methods.evaluate = function(items, now = new Date()) {
+  const result = { discount: 0, freeShipping: false, eligibleSubtotal: 0, error: null };
+  const status = this.getStatus(now);
+
+  if (status === 'expired') {
+    result.error = 'This coupon has expired';
+    return result;
+  }
+  if (status === 'used up') {
+    result.error = 'This coupon has reached its usage limit';
+    return result;
+  }
+  if (status !== 'active') {
+    result.error = 'This coupon is not active';
+    return result;
+  }
+
+  result.eligibleSubtotal = items
+    .filter(item => this.appliesTo(item))
+    .reduce((sum, item) => {
+      const price = item.discountPrice && item.discountPrice < item.price ? item.discountPrice : item.price;
+      return sum + price * item.quantity;
+    }, 0);
+
+  if (result.eligibleSubtotal === 0) {
+    result.error = 'This coupon does not apply to any item in your cart';
+    return result;
+  }
+  if (result.eligibleSubtotal < this.minSpend) {
+    result.error = `Spend ₹${(this.minSpend - result.eligibleSubtotal).toFixed(2)} more on eligible items to use this coupon`;
+    return result;
+  }
+
+  if (this.type === 'free_shipping') {
+    result.freeShipping = true;
+  } else if (this.type === 'fixed') {
+    result.discount = Math.min(this.value, result.eligibleSubtotal);
+  } else {
+    const discount = result.eligibleSubtotal * this.value / 100;
+    result.discount = Math.round(Math.min(discount, this.maxDiscount || discount) * 100) / 100;
+  }
+
+  return result;
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+Coupon.TYPES = COUPON_TYPES;
+
+module.exports = Coupon;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon on a placed order
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  // Kept as text so the log still reads right after the coupon is deleted
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  freeShipping: {
+    type: Boolean,
+    default: false
+  },
+  // Which of the shopper's perUserLimit uses this is (1, 2, ...); unique per coupon and
+  // shopper, so two checkouts at once can't both take the last one
+  slot: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+couponRedemptionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
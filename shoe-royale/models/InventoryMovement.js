@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const REASONS = ['sale', 'return', 'cancellation', 'restock', 'damage', 'correction', 'hold', 'release'];
+
+const REASON_LABELS = {
+  sale: 'Sale',
+  return: 'Return',
+  cancellation: 'Cancellation',
+  restock: 'Restock',
+  damage: 'Damage',
+  correction: 'Manual correction',
+  hold: 'Checkout hold',
+  release: 'Hold released'
+};
+
+// Reasons an admin can pick on the stock adjustment screen
+const MANUAL_REASONS = ['restock', 'damage', 'correction'];
+
+// One change to the stock of a product size (and color), written by utils/inventory.js
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  sku: String,
+  size: {
+    type: Number,
+    required: true
+  },
+  // Empty for products without color variants
+  color: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: true
+  },
+  // Units added (positive) or taken (negative)
+  delta: {
+    type: Number,
+    required: true
+  },
+  // Stock of the size/color right after the change
+  level: Number,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Who made the change; name is kept so the ledger still reads right after the user is gone
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    kind: {
+      type: String,
+      enum: ['admin', 'customer', 'system'],
+      default: 'system'
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ reason: 1, createdAt: -1 });
+
+inventoryMovementSchema.methods.getReasonLabel = function() {
+  return REASON_LABELS[this.reason] || this.reason;
+};
+
+const InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema);
+
+InventoryMovement.REASONS = REASONS;
+InventoryMovement.REASON_LABELS = REASON_LABELS;
+InventoryMovement.MANUAL_REASONS = MANUAL_REASONS;
+
+module.exports = InventoryMovement;
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Outbound customer message, queued here and delivered by utils/notifications.js
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // What triggered it, e.g. 'back-in-stock'
+  type: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  // Extra fields for the transport or for display (product id, url, ...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sent', 'failed'],
+    default: 'queued'
+  },
+  // Transport that delivered it
+  transport: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ status: 1, createdAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const { SIZE_SYSTEMS } = require('../utils/sizeSystems');
+
+// Lifecycle of an order; the allowed changes are in utils/orderStatus.js
+const STATUSES = ['processing', 'packed', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+const STATUS_LABELS = {
+  processing: 'Processing',
+  packed: 'Packed',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  returned: 'Returned'
+};
 
 const orderSchema = new mongoose.Schema({
   user: {
@@ -15,17 +28,31 @@ const orderSchema = new mongoose.Schema({
     name: String,
     quantity: Number,
     size: Number,
+    sizeSystem: {
+      type: String,
+      enum: SIZE_SYSTEMS,
+      default: 'US'
+    },
+    gender: String,
+    sku: String,
     color: String,
     price: Number,
     image: String
   }],
+  // Checked step by step in checkout (utils/checkout.js); required here too so no
+  // order is saved without somewhere to send it
   shippingAddress: {
-    street: String,
-    city: String,
-    state: String,
-    country: String,
-    zipCode: String,
-    phone: String
+    street: { type: String, trim: true, required: [true, 'Shipping address needs a street'] },
+    city: { type: String, trim: true, required: [true, 'Shipping address needs a city'] },
+    state: { type: String, trim: true, required: [true, 'Shipping address needs a state'] },
+    country: { type: String, trim: true, required: [true, 'Shipping address needs a country'] },
+    zipCode: { type: String, trim: true, required: [true, 'Shipping address needs a ZIP code'] },
+    phone: { type: String, trim: true }
+  },
+  shippingMethod: {
+    code: String,
+    label: String,
+    eta: String
   },
   paymentMethod: {
     type: String,
@@ -39,13 +66,55 @@ const orderSchema = new mongoose.Schema({
   },
   orderStatus: {
     type: String,
-    enum: ['processing', 'shipped', 'delivered', 'cancelled'],
+    enum: STATUSES,
     default: 'processing'
   },
+  // Every status the order has been in, oldest first, with who changed it
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: STATUSES,
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    actor: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: String,
+      kind: {
+        type: String,
+        enum: ['admin', 'customer', 'system'],
+        default: 'system'
+      }
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  }],
   totalAmount: {
     type: Number,
     required: true
   },
+  // Promo code used on the order (see utils/coupons.js)
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    freeShipping: Boolean
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
   taxAmount: {
     type: Number,
     default: 0
@@ -59,6 +128,11 @@ const orderSchema = new mongoose.Schema({
     required: true
   },
   trackingNumber: String,
+  // Set when checkout took the items off the shelf; orders from before stock was
+  // tracked have none, and nothing is put back when they are cancelled or returned
+  stockTakenAt: Date,
+  // Set when a cancellation or return put the items back in stock (utils/inventory.js)
+  stockRestoredAt: Date,
   notes: String,
   createdAt: {
     type: Date,
@@ -66,4 +140,13 @@ const orderSchema = new mongoose.Schema({
   }
 });
 
-module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
+orderSchema.methods.getStatusLabel = function() {
+  return STATUS_LABELS[this.orderStatus] || this.orderStatus;
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+Order.STATUSES = STATUSES;
+Order.STATUS_LABELS = STATUS_LABELS;
+
+module.exports = Order;
\ No newline at end of file
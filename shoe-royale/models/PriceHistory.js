@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One change to a product's price or discount price, from an admin edit or a
+// scheduled sale starting or ending (see utils/sales.js)
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  discountPrice: Number,
+  previousPrice: Number,
+  previousDiscountPrice: Number,
+  source: {
+    type: String,
+    enum: ['admin', 'sale'],
+    default: 'admin'
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Kept as text so the log still reads right after the account is gone
+  changedByName: String,
+  note: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+/**
+ * Log a price change; does nothing when neither price moved.
+ * @param {ObjectId} productId
+ * @param {{ price: number, discountPrice?: number }} previous
+ * @param {{ price: number, discountPrice?: number }} current
+ * @param {object} [details] - source, sale, changedBy, changedByName, note
+ */
+priceHistorySchema.statics.record = function(productId, previous, current, details = {}) {
+  const samePrice = previous.price === current.price;
+  const sameDiscount = (previous.discountPrice || null) === (current.discountPrice || null);
+  if (samePrice && sameDiscount) return Promise.resolve(null);
+
+  return this.create({
+    product: productId,
+    price: current.price,
+    discountPrice: current.discountPrice,
+    previousPrice: previous.price,
+    previousDiscountPrice: previous.discountPrice,
+    ...details
+  });
+};
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -1,4 +1,38 @@
 const mongoose = require('mongoose');
+const sizeSystems = require('../utils/sizeSystems');
+const slugify = require('../utils/slugify');
+const { SIZE_SYSTEMS, SIZE_GENDERS, SIZE_FITS } = sizeSystems;
+
+// One sellable size × color combination with its own stock
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  color: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  price: {
+    type: Number,   // Optional override of the product price
+    min: 0
+  },
+  barcode: {
+    type: String,
+    trim: true
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -6,6 +40,20 @@ const productSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // URL slug for /p/:slug, built from the name and first color (see pre-save below)
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
+  // Slugs the product had before a rename; /p/<old-slug> redirects to the current one
+  slugHistory: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
   description: {
     type: String,
     required: true
@@ -19,22 +67,50 @@ const productSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  // Scheduled sale currently setting discountPrice (applied and removed by utils/sales.js)
+  activeSale: {
+    sale: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sale'
+    },
+    name: String,
+    endsAt: Date,
+    // discountPrice to go back to when the sale ends
+    regularDiscountPrice: Number
+  },
   category: {
-    type: String,
-    enum: ['sneakers', 'boots', 'sandals', 'loafers', 'sports', 'formal'],
-    required: true
+    type: String,   // Category slug (see models/Category.js)
+    required: true,
+    lowercase: true,
+    trim: true
   },
   brand: {
     type: String,
     required: true
   },
   sizes: [{
-    size: Number,
+    size: Number,   // In sizeSystem below (half sizes allowed)
     quantity: {
       type: Number,
       default: 0
     }
   }],
+  // Sizing the stock is recorded in; shoppers see it converted to their own system
+  sizeSystem: {
+    type: String,
+    enum: SIZE_SYSTEMS,
+    default: 'US'
+  },
+  gender: {
+    type: String,
+    enum: SIZE_GENDERS,
+    default: 'unisex'
+  },
+  fit: {
+    type: String,
+    enum: SIZE_FITS,
+    default: 'regular'
+  },
   colors: [{
     name: String,
     code: String,
@@ -44,6 +120,7 @@ const productSchema = new mongoose.Schema({
       secure_url: String  // HTTPS URL
     }]
   }],
+  variants: [variantSchema],
   featured: {
     type: Boolean,
     default: true
@@ -64,4 +141,180 @@ const productSchema = new mongoose.Schema({
   }
 });
 
-module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
+// SKUs are unique across products; generated ones get a suffix when taken (see uniqueSku)
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ slugHistory: 1 });
+
+// Build a readable SKU like "NIK-AIRMAX-BLK-9"
+productSchema.statics.generateSku = function(product, size, color) {
+  const part = (value, length) => String(value || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .slice(0, length) || 'X';
+  
+  return [
+    part(product.brand, 3),
+    part(product.name, 6),
+    part(color, 3),
+    String(size).replace('.', '_')
+  ].join('-');
+};
+
+// First free SKU for `base` ("NIK-AIRMAX-BLK-9", "NIK-AIRMAX-BLK-9-2", ...): not in `taken`
+// (SKUs already on the product) and not used by any other product
+productSchema.statics.uniqueSku = async function(base, excludeId, taken = new Set()) {
+  let sku = base;
+  let suffix = 2;
+  
+  while (taken.has(sku) || await this.exists({ _id: { $ne: excludeId }, 'variants.sku': sku })) {
+    sku = `${base}-${suffix++}`;
+  }
+  
+  return sku;
+};
+
+// Fill in missing SKUs and reject duplicates within one product. SKUs typed in by an
+// admin are kept as they are; a clash with another product fails on the unique index.
+productSchema.statics.assignSkus = async function(product, variants) {
+  const seen = new Set();
+  
+  variants.forEach(variant => {
+    if (!variant.sku) return;
+    
+    if (seen.has(variant.sku)) {
+      throw new Error(`Duplicate SKU "${variant.sku}" on product "${product.name}"`);
+    }
+    seen.add(variant.sku);
+  });
+  
+  for (const variant of variants) {
+    if (!variant.sku) {
+      variant.sku = await this.uniqueSku(this.generateSku(product, variant.size, variant.color), product._id, seen);
+      seen.add(variant.sku);
+    }
+  }
+  
+  return variants;
+};
+
+// Roll variant stock up into the legacy per-size quantities
+productSchema.statics.sizesFromVariants = function(variants) {
+  const totals = new Map();
+  
+  variants.forEach(variant => {
+    const current = totals.get(variant.size) || 0;
+    totals.set(variant.size, current + (variant.stock || 0));
+  });
+  
+  return [...totals.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([size, quantity]) => ({ size, quantity }));
+};
+
+// Find the variant for a size/color pair
+productSchema.methods.findVariant = function(size, color) {
+  if (!this.variants || this.variants.length === 0) return null;
+  
+  return this.variants.find(variant =>
+    variant.size == size && variant.color === color
+  ) || null;
+};
+
+// Size label in another system, e.g. displaySize(8.5, 'EU') -> "EU 42"
+productSchema.methods.displaySize = function(size, system) {
+  return sizeSystems.formatSize(size, this, system);
+};
+
+// Stock for a size (and color, when the product has variants)
+productSchema.methods.getStock = function(size, color) {
+  if (this.variants && this.variants.length > 0) {
+    if (color) {
+      const variant = this.findVariant(size, color);
+      return variant ? variant.stock : 0;
+    }
+    
+    return this.variants
+      .filter(variant => variant.size == size)
+      .reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  }
+  
+  const sizeEntry = this.sizes.find(s => s.size == size);
+  return sizeEntry ? sizeEntry.quantity : 0;
+};
+
+// Selling price for a variant, honoring its override
+productSchema.methods.getVariantPrice = function(variant) {
+  if (variant && variant.price) return variant.price;
+  return this.discountPrice || this.price;
+};
+
+// Regular and discounted price stored on a cart line. A variant's own price replaces
+// both, so the product's discountPrice never undercuts it.
+productSchema.methods.getLinePrices = function(variant) {
+  if (variant && variant.price) return { price: variant.price, discountPrice: undefined };
+  return { price: this.price, discountPrice: this.discountPrice };
+};
+
+// Storefront URL for a product (plain objects from .lean() included). Products without a
+// slug yet (see migrate-slugs.js) are found by id under the same path.
+productSchema.statics.urlFor = function(product) {
+  return `/p/${product.slug || product._id}`;
+};
+
+// First free slug for `base` ("air-max-black", "air-max-black-2", ...).
+// Old slugs of other products stay reserved so their redirects keep working.
+productSchema.statics.uniqueSlug = async function(base, excludeId) {
+  let slug = base;
+  let suffix = 2;
+  
+  while (await this.exists({
+    _id: { $ne: excludeId },
+    $or: [{ slug }, { slugHistory: slug }]
+  })) {
+    slug = `${base}-${suffix++}`;
+  }
+  
+  return slug;
+};
+
+// Look a product up by its current or a previous slug
+productSchema.statics.findBySlug = function(slug) {
+  const value = String(slug || '').toLowerCase();
+  return this.findOne({ $or: [{ slug: value }, { slugHistory: value }] });
+};
+
+// "Air Max 90" in Black -> "air-max-90-black"
+productSchema.methods.baseSlug = function() {
+  const color = this.colors && this.colors.length > 0 ? this.colors[0].name : '';
+  return slugify(`${this.name} ${color}`) || 'product';
+};
+
+// Assign a slug to new products and re-slug renamed ones, remembering the old slug
+productSchema.pre('save', async function() {
+  if (this.slug && !this.isModified('name') && !this.isModified('colors')) return;
+  
+  const base = this.baseSlug();
+  
+  // Still matches the name (possibly with a collision suffix), so leave it alone
+  if (this.slug && (this.slug === base || new RegExp(`^${base}-\\d+$`).test(this.slug))) return;
+  
+  const slug = await this.constructor.uniqueSlug(base, this._id);
+  
+  if (this.slug) {
+    this.slugHistory.addToSet(this.slug);
+  }
+  this.slugHistory.pull(slug);
+  this.slug = slug;
+});
+
+// Keep SKUs filled in and per-size totals in sync with variants. Only when the variants
+// themselves were set: saving other fields must not write stock back from a stale copy.
+productSchema.pre('save', async function() {
+  if (!this.variants || this.variants.length === 0) return;
+  if (!this.isNew && !this.isModified('variants')) return;
+  
+  await this.constructor.assignSkus(this, this.variants);
+  this.sizes = this.constructor.sizesFromVariants(this.variants);
+});
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// An answer from the store; customers can vote it helpful once each
+const answerSchema = new mongoose.Schema({
+  body: {
+    type: String,
+    required: [true, 'Answer cannot be empty'],
+    trim: true,
+    maxlength: 2000
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  authorName: {
+    type: String,
+    default: 'Royal Footwear'
+  },
+  helpfulVotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const questionSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Please type your question'],
+    trim: true,
+    minlength: [10, 'Please give a little more detail in your question'],
+    maxlength: 500
+  },
+  answers: [answerSchema],
+  // 'open' until the first answer is posted
+  status: {
+    type: String,
+    enum: ['open', 'answered'],
+    default: 'open'
+  }
+}, {
+  timestamps: true
+});
+
+questionSchema.index({ product: 1, createdAt: -1 });
+questionSchema.index({ status: 1, createdAt: 1 });
+
+questionSchema.pre('save', function() {
+  this.status = this.answers.length > 0 ? 'answered' : 'open';
+});
+
+// Post a store answer (moves the question out of the admin queue)
+questionSchema.methods.addAnswer = function(body, userId) {
+  this.answers.push({ body, user: userId });
+  return this.save();
+};
+
+// Record a shopper's helpful vote; returns the answer, or null when it doesn't exist.
+// Voting twice has no effect.
+questionSchema.statics.voteHelpful = async function(questionId, answerId, userId) {
+  const question = await this.findOneAndUpdate(
+    { _id: questionId, answers: { $elemMatch: { _id: answerId, helpfulVotes: { $ne: userId } } } },
+    { $addToSet: { 'answers.$.helpfulVotes': userId }, $inc: { 'answers.$.helpfulCount': 1 } },
+    { new: true }
+  );
+
+  const found = question || await this.findById(questionId);
+  return found ? found.answers.id(answerId) : null;
+};
+
+// Public shape for the JSON endpoint, most helpful answers first
+questionSchema.methods.toPublicJSON = function(userId) {
+  return {
+    _id: this._id,
+    body: this.body,
+    askedBy: this.user && this.user.name ? this.user.name : 'Customer',
+    createdAt: this.createdAt,
+    status: this.status,
+    answers: [...this.answers]
+      .sort((a, b) => b.helpfulCount - a.helpfulCount || a.createdAt - b.createdAt)
+      .map(answer => ({
+        _id: answer._id,
+        body: answer.body,
+        authorName: answer.authorName,
+        helpfulCount: answer.helpfulCount,
+        votedHelpful: Boolean(userId) && answer.helpfulVotes.some(id => id.equals(userId)),
+        createdAt: answer.createdAt
+      }))
+  };
+};
+
+const Question = mongoose.model('Question', questionSchema);
+
+// Questions per page on the product page and the JSON endpoint
+Question.PAGE_SIZE = 5;
+
+module.exports = Question;
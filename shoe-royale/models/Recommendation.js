@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// "Customers also bought" list for one product, precomputed by utils/recommendations.js
+const recommendationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    unique: true
+  },
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Number of orders (or wishlists) containing both products
+    score: {
+      type: Number,
+      default: 0
+    },
+    source: {
+      type: String,
+      enum: ['orders', 'wishlists'],
+      default: 'orders'
+    }
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Recommendation', recommendationSchema);
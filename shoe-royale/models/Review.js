@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// How the shoe fits compared to the shopper's usual size
+const FIT_OPTIONS = ['small', 'true', 'large'];
+const FIT_LABELS = {
+  small: 'Runs small',
+  true: 'True to size',
+  large: 'Runs large'
+};
+
+// Only a delivered order counts as a purchase: the shopper has had the item, and it
+// hasn't been cancelled or sent back
+const PURCHASE_ORDER_STATUS = 'delivered';
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The order that makes this a verified purchase
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please choose a star rating'],
+    min: 1,
+    max: 5
+  },
+  title: {
+    type: String,
+    required: [true, 'Please give your review a title'],
+    trim: true,
+    maxlength: 120
+  },
+  body: {
+    type: String,
+    required: [true, 'Please write a few words about the product'],
+    trim: true,
+    maxlength: 5000
+  },
+  fit: {
+    type: String,
+    enum: FIT_OPTIONS
+  },
+  // What the reviewer bought, copied from the order line
+  size: Number,
+  sizeSystem: String,
+  gender: String,
+  color: String,
+  photos: [{
+    url: String,
+    public_id: String,
+    secure_url: String
+  }],
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  moderationNote: {
+    type: String,
+    trim: true
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date
+}, {
+  timestamps: true
+});
+
+// One review per shopper per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+// The shopper's most recent delivered order containing the product, or null
+reviewSchema.statics.findVerifiedPurchase = function(userId, productId) {
+  return mongoose.model('Order').findOne({
+    user: userId,
+    'items.product': productId,
+    orderStatus: PURCHASE_ORDER_STATUS
+  }).sort({ createdAt: -1 });
+};
+
+// Recompute Product.rating and Product.reviewsCount from approved reviews
+reviewSchema.statics.updateProductRating = async function(productId) {
+  const [summary] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Product').updateOne(
+    { _id: productId },
+    {
+      $set: {
+        rating: summary ? Math.round(summary.average * 10) / 10 : 0,
+        reviewsCount: summary ? summary.count : 0
+      }
+    }
+  );
+};
+
+// Star breakdown and fit votes for a product's approved reviews
+reviewSchema.statics.getSummary = async function(productId) {
+  const [result] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    {
+      $facet: {
+        stars: [{ $group: { _id: '$rating', count: { $sum: 1 } } }],
+        fit: [
+          { $match: { fit: { $in: FIT_OPTIONS } } },
+          { $group: { _id: '$fit', count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const countFor = (rows, id) => {
+    const row = rows.find(r => r._id === id);
+    return row ? row.count : 0;
+  };
+
+  const fit = FIT_OPTIONS.map(value => ({ value, label: FIT_LABELS[value], count: countFor(result.fit, value) }));
+  const fitVotes = fit.reduce((sum, option) => sum + option.count, 0);
+
+  return {
+    stars: [5, 4, 3, 2, 1].map(stars => ({ stars, count: countFor(result.stars, stars) })),
+    fit,
+    fitVotes,
+    // Most common fit answer, once there are any
+    fitVerdict: fitVotes > 0 ? fit.reduce((best, option) => option.count > best.count ? option : best) : null
+  };
+};
+
+// Keep the product's rating in step with every review change
+reviewSchema.post('save', async function(review) {
+  await review.constructor.updateProductRating(review.product);
+});
+
+reviewSchema.post('findOneAndDelete', async function(review) {
+  if (review) {
+    await mongoose.model('Review').updateProductRating(review.product);
+  }
+});
+
+const Review = mongoose.model('Review', reviewSchema);
+
+Review.REVIEW_STATUSES = REVIEW_STATUSES;
+Review.FIT_OPTIONS = FIT_OPTIONS;
+Review.FIT_LABELS = FIT_LABELS;
+
+module.exports = Review;
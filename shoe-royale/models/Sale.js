@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const SALE_SCOPES = ['product', 'category', 'brand'];
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+// A scheduled price cut for some products, whole categories or brands.
+// utils/sales.js applies it to discountPrice while it runs.
+const saleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Sale name is required'],
+    trim: true,
+    maxlength: 80
+  },
+  scope: {
+    type: String,
+    enum: SALE_SCOPES,
+    required: true
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: String,   // Category slugs; subcategories are included
+    lowercase: true,
+    trim: true
+  }],
+  brands: [{
+    type: String,   // Brand names, as stored on products
+    trim: true
+  }],
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    default: 'percent'
+  },
+  // Percent off, or rupees off for 'fixed'
+  value: {
+    type: Number,
+    required: [true, 'Discount is required'],
+    min: [0.01, 'Discount must be more than zero']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Admin switch; a sale only runs when enabled and inside its window
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+saleSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+saleSchema.pre('validate', function() {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'The sale must end after it starts');
+  }
+  if (this.discountType === 'percent' && this.value >= 100) {
+    this.invalidate('value', 'A percent discount must be below 100');
+  }
+});
+
+// Sale price for a regular price (never below zero)
+saleSchema.methods.salePrice = function(price) {
+  const discounted = this.discountType === 'percent'
+    ? price * (1 - this.value / 100)
+    : price - this.value;
+
+  return Math.max(0, Math.round(discounted * 100) / 100);
+};
+
+// 'paused', 'scheduled', 'live' or 'ended'
+saleSchema.methods.getStatus = function(now = new Date()) {
+  if (!this.isActive) return 'paused';
+  if (now < this.startsAt) return 'scheduled';
+  if (now >= this.endsAt) return 'ended';
+  return 'live';
+};
+
+saleSchema.methods.getDiscountLabel = function() {
+  return this.discountType === 'percent' ? `${this.value}% off` : `₹${this.value} off`;
+};
+
+saleSchema.statics.findLive = function(now = new Date()) {
+  return this.find({ isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } });
+};
+
+const Sale = mongoose.model('Sale', saleSchema);
+
+Sale.SCOPES = SALE_SCOPES;
+Sale.DISCOUNT_TYPES = DISCOUNT_TYPES;
+
+module.exports = Sale;
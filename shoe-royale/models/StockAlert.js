@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// "Notify me when it's back": one per user and product size/color
+const stockAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Empty for products without color variants
+  color: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // 'active' until the size comes back in stock and the notification is queued
+  status: {
+    type: String,
+    enum: ['active', 'notified'],
+    default: 'active'
+  },
+  notifiedAt: Date
+}, {
+  timestamps: true
+});
+
+stockAlertSchema.index({ user: 1, product: 1, size: 1, color: 1 }, { unique: true });
+stockAlertSchema.index({ product: 1, status: 1 });
+
+module.exports = mongoose.model('StockAlert', stockAlertSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Stock held for a shopper while they are in checkout (see utils/inventory.js).
+// The quantity is already taken off the product; it goes back when the hold expires
+// unless an order claims it first.
+const stockReservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Empty for products without color variants
+  color: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // The 'hold' ledger line, turned into the sale when an order claims the hold
+  movement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryMovement'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockReservationSchema.index({ user: 1, product: 1, size: 1, color: 1 });
+stockReservationSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { SIZE_SYSTEMS } = require('../utils/sizeSystems');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -37,6 +38,10 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  preferredSizeSystem: {
+    type: String,
+    enum: SIZE_SYSTEMS
+  },
   address: {
     street: { type: String, default: '' },
     city: { type: String, default: '' },
@@ -45,6 +50,18 @@ const userSchema = new mongoose.Schema({
     zipCode: { type: String, default: '' },
     phone: { type: String, default: '' }
   },
+  // Newest first; trimmed by utils/recentlyViewed.js
+  recentlyViewed: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    viewedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   lastLogin: {
     type: Date
   },
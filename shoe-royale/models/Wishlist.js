@@ -28,8 +28,9 @@ const wishlistItemSchema = new mongoose.Schema({
         type: String
     },
     category: {
-        type: String,
-        enum: ['sneakers', 'boots', 'sandals', 'loafers', 'sports', 'formal']
+        type: String,   // Category slug
+        lowercase: true,
+        trim: true
     },
     colors: [{
         name: String,
@@ -47,7 +48,16 @@ const wishlistItemSchema = new mongoose.Schema({
     addedAt: {
         type: Date,
         default: Date.now
-    }
+    },
+    // Set by the price-watch job (utils/priceWatch.js) while the product sells for
+    // less than it did when it was saved
+    priceDrop: {
+        previousPrice: Number,
+        currentPrice: Number,
+        detectedAt: Date
+    },
+    // Lowest price the shopper has been notified about, so each drop is announced once
+    notifiedPrice: Number
 });
 
 const wishlistSchema = new mongoose.Schema({
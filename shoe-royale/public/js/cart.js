@@ -52,7 +52,9 @@ class CartManager {
         .then(data => {
             if (data.success) {
                 this.updateItemTotal(itemId, quantity);
-                this.updateCartSummary(data.totalAmount);
+                this.updateCartSummary(data.cartSummary.total);
+            } else {
+                showNotification(data.error, 'error');
             }
         })
         .catch(error => {
@@ -78,7 +80,7 @@ class CartManager {
                     }
                     
                     // Update cart summary
-                    this.updateCartSummary(data.totalAmount);
+                    this.updateCartSummary(data.cartSummary.total);
                     
                     // Update cart count
                     updateCartCount();
@@ -90,8 +90,16 @@ document.addEventListener('DOMContentLoaded', function() {
                 performSearch();
             }
         });
+        
+        initSearchSuggestions(searchInput);
     }
     
+    // Infinite scroll on product listings
+    initInfiniteScroll();
+    
+    // Countdowns on products in a scheduled sale
+    initSaleCountdowns();
+    
     // Newsletter subscription
     const newsletterForm = document.getElementById('newsletter-form');
     if (newsletterForm) {
@@ -179,6 +187,218 @@ function showNotification(message, type = 'info') {
     }, 5000);
 }
 
+// Infinite scroll: load the next page of the listing as JSON when the sentinel comes into view
+function initInfiniteScroll() {
+    const grid = document.getElementById('productGrid');
+    const sentinel = document.getElementById('productGridSentinel');
+    
+    if (!grid || !sentinel || !grid.dataset.nextPage || !('IntersectionObserver' in window)) {
+        return;
+    }
+    
+    // Page links stay as the fallback when JavaScript or IntersectionObserver is unavailable
+    const pager = document.getElementById('productPagination');
+    if (pager) {
+        pager.classList.add('d-none');
+    }
+    sentinel.classList.remove('d-none');
+    
+    let loading = false;
+    
+    const observer = new IntersectionObserver(entries => {
+        if (!entries[0].isIntersecting || loading || !grid.dataset.nextPage) return;
+        
+        loading = true;
+        const url = new URL(window.location.href);
+        url.searchParams.set('page', grid.dataset.nextPage);
+        
+        fetch(url.pathname + url.search, {
+            headers: { 'Accept': 'application/json' }
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (!data.success) {
+                    throw new Error(data.message || 'Failed to load products');
+                }
+                
+                grid.insertAdjacentHTML('beforeend', data.html);
+                grid.dataset.nextPage = data.pagination.hasMore ? data.pagination.nextPage : '';
+                document.dispatchEvent(new CustomEvent('products:appended', { detail: data }));
+                
+                if (!grid.dataset.nextPage) {
+                    observer.disconnect();
+                    sentinel.classList.add('d-none');
+                }
+            })
+            .catch(error => {
+                console.error('Error loading more products:', error);
+                observer.disconnect();
+                sentinel.classList.add('d-none');
+                if (pager) {
+                    pager.classList.remove('d-none');
+                }
+            })
+            .finally(() => {
+                loading = false;
+            });
+    }, { rootMargin: '400px 0px' });
+    
+    observer.observe(sentinel);
+}
+
+// Tick every [data-sale-ends="<ISO date>"] once a second ("2d 04:15:09").
+// Looks the elements up on each tick so infinite-scroll cards are picked up too.
+function initSaleCountdowns() {
+    if (!document.querySelector('[data-sale-ends]')) return;
+    
+    const pad = value => String(value).padStart(2, '0');
+    const tick = () => {
+        document.querySelectorAll('[data-sale-ends]').forEach(element => {
+            const seconds = Math.floor((new Date(element.dataset.saleEnds) - Date.now()) / 1000);
+            
+            if (seconds <= 0) {
+                element.textContent = 'moments';
+                return;
+            }
+            
+            const days = Math.floor(seconds / 86400);
+            const time = `${pad(Math.floor(seconds % 86400 / 3600))}:${pad(Math.floor(seconds % 3600 / 60))}:${pad(seconds % 60)}`;
+            element.textContent = days > 0 ? `${days}d ${time}` : time;
+        });
+    };
+    
+    tick();
+    setInterval(tick, 1000);
+}
+
+// Search-as-you-type dropdown for the header search box
+function initSearchSuggestions(searchInput) {
+    const dropdown = document.getElementById('search-suggestions');
+    if (!dropdown) return;
+    
+    let lastQuery = '';
+    let activeIndex = -1;
+    
+    const hide = () => {
+        dropdown.classList.add('d-none');
+        activeIndex = -1;
+    };
+    
+    const items = () => dropdown.querySelectorAll('.suggestion-item');
+    
+    const highlight = (index) => {
+        const list = items();
+        list.forEach(item => item.classList.remove('active'));
+        activeIndex = index;
+        if (list[index]) {
+            list[index].classList.add('active');
+            list[index].scrollIntoView({ block: 'nearest' });
+        }
+    };
+    
+    const render = (suggestions) => {
+        const { products, brands, categories } = suggestions;
+        let html = '';
+        
+        if (products.length > 0) {
+            html += '<div class="suggestion-heading">Products</div>';
+            products.forEach(product => {
+                const price = product.discountPrice && product.discountPrice < product.price
+                    ? product.discountPrice
+                    : product.price;
+                html += `
+                    <a class="suggestion-item" role="option" href="${product.url}">
+                        <img src="${escapeHtml(product.thumbnail)}" alt="">
+                        <span>
+                            <span class="d-block">${escapeHtml(product.name)}</span>
+                            <small class="text-muted">${escapeHtml(product.brand || '')} · ₹${Number(price).toFixed(2)}</small>
+                        </span>
+                    </a>`;
+            });
+        }
+        
+        [['Brands', brands], ['Categories', categories]].forEach(([heading, group]) => {
+            if (group.length === 0) return;
+            html += `<div class="suggestion-heading">${heading}</div>`;
+            group.forEach(entry => {
+                html += `
+                    <a class="suggestion-item" role="option" href="${entry.url}">
+                        <span class="text-capitalize">${escapeHtml(entry.name)}</span>
+                        <span class="suggestion-count">${entry.count}</span>
+                    </a>`;
+            });
+        });
+        
+        if (!html) {
+            hide();
+            return;
+        }
+        
+        dropdown.innerHTML = html;
+        dropdown.classList.remove('d-none');
+        activeIndex = -1;
+    };
+    
+    const fetchSuggestions = debounce(function(query) {
+        fetch(`/products/api/suggest?q=${encodeURIComponent(query)}`)
+            .then(response => response.json())
+            .then(data => {
+                // Ignore responses for text the user has already typed past
+                if (data.success && query === lastQuery) {
+                    render(data.suggestions);
+                }
+            })
+            .catch(error => {
+                console.error('Error fetching suggestions:', error);
+            });
+    }, 250);
+    
+    searchInput.addEventListener('input', function() {
+        lastQuery = this.value.trim();
+        if (lastQuery.length < 2) {
+            hide();
+            return;
+        }
+        fetchSuggestions(lastQuery);
+    });
+    
+    // Arrow keys move through the suggestions, Enter opens the highlighted one
+    searchInput.addEventListener('keydown', function(e) {
+        const list = items();
+        if (dropdown.classList.contains('d-none') || list.length === 0) return;
+        
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            highlight((activeIndex + 1) % list.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            highlight(activeIndex <= 0 ? list.length - 1 : activeIndex - 1);
+        } else if (e.key === 'Enter' && activeIndex >= 0) {
+            // Stops the keypress handler from running a full search instead
+            e.preventDefault();
+            window.location.href = list[activeIndex].href;
+        } else if (e.key === 'Escape') {
+            hide();
+        }
+    });
+    
+    document.addEventListener('click', function(e) {
+        if (!e.target.closest('.header-search')) {
+            hide();
+        }
+    });
+}
+
+// Escape text before putting it into innerHTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Perform search
 function performSearch() {
     const searchInput = document.getElementById('search-input');
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const recommendations = require('./utils/recommendations');
+require('dotenv').config();
+
+// Rebuilds the "customers also bought" lists once and exits. The web app also
+// refreshes them on its own schedule; run this from cron when it doesn't (or
+// right after importing orders).
+async function recomputeRecommendations() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const result = await recommendations.recompute();
+
+        console.log(`Recommendations rebuilt for ${result.products} product(s) in ${result.durationMs}ms`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Error recomputing recommendations:', error);
+        process.exit(1);
+    }
+}
+
+recomputeRecommendations();
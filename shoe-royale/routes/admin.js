@@ -7,7 +7,27 @@ const upload = require('../middleware/uploadCloudinary');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const Order = require('../models/Order');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const Review = require('../models/Review');
+const Question = require('../models/Question');
+const StockAlert = require('../models/StockAlert');
+const Sale = require('../models/Sale');
+const PriceHistory = require('../models/PriceHistory');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Cart = require('../models/Cart');
+const InventoryMovement = require('../models/InventoryMovement');
 const passport = require('passport');
+const searchIndex = require('../utils/searchIndex');
+const escapeRegex = require('../utils/escapeRegex');
+const sizeSystems = require('../utils/sizeSystems');
+const stockAlerts = require('../utils/stockAlerts');
+const sales = require('../utils/sales');
+const coupons = require('../utils/coupons');
+const inventory = require('../utils/inventory');
+const orderStatus = require('../utils/orderStatus');
+const ExpressError = require('../utils/ExpressError');
 // const { getDashboardStats } = require('../utils/dashboardStats');
 
 
@@ -242,6 +262,29 @@ function formatTimeAgo(date) {
     });
 }
 
+// Helper to read variant rows posted as variants[i][size], variants[i][color], ...
+function parseVariants(body) {
+    let rows = body.variants;
+    if (!rows) return [];
+    
+    // Large forms arrive as an object keyed by index instead of an array
+    if (!Array.isArray(rows)) {
+        rows = Object.values(rows);
+    }
+    
+    return rows
+        .filter(row => row && row.size && row.color && row.color.trim() !== '')
+        .map(row => ({
+            sku: row.sku && row.sku.trim() !== '' ? row.sku.trim().toUpperCase() : undefined,
+            size: parseFloat(row.size),
+            color: row.color.trim(),
+            stock: Math.max(parseInt(row.stock) || 0, 0),
+            price: row.price ? parseFloat(row.price) : undefined,
+            barcode: row.barcode && row.barcode.trim() !== '' ? row.barcode.trim() : undefined
+        }))
+        .filter(row => !isNaN(row.size));
+}
+
 // Admin Products with Real Data
 // GET Admin Products List
 router.get('/products', async (req, res) => {
@@ -271,7 +314,7 @@ router.get('/products', async (req, res) => {
     
     // Search filter
     if (req.query.search) {
-      query.name = { $regex: req.query.search, $options: 'i' };
+      query.name = { $regex: escapeRegex(req.query.search), $options: 'i' };
     }
     
     // Status filter
@@ -301,6 +344,7 @@ router.get('/products', async (req, res) => {
       title: 'Manage Products',
       user: req.session.user,
       products: products,
+      categories: await Category.getFlatList(),
       currentPage: page,
       totalPages: totalPages,
       success_msg: req.flash('success_msg'),
@@ -411,7 +455,7 @@ router.get('/settings', (req, res) => {
 // GET: Show create product form
 // GET: Show create product form
 // GET: Show create product form
-router.get('/products/create', (req, res) => {
+router.get('/products/create', async (req, res) => {
   try {
     console.log('📄 GET /admin/products/create - Rendering form');
     
@@ -425,9 +469,12 @@ router.get('/products/create', (req, res) => {
     const formData = {
       title: 'Add New Product',
       user: req.session.user,
-      categories: ['sneakers', 'boots', 'sandals', 'loafers', 'sports', 'formal'],
-      brands: ['Nike', 'Adidas', 'Puma', 'Reebok', 'Woodland', 'Bata', 'Campus', 'Red Tape', 'Sparx', 'Skechers', 'Crocs', 'Converse', 'Vans'],
-      sizes: [6, 7, 8, 9, 10, 11, 12],
+      categories: await Category.getFlatList(),
+      brands: (await Brand.find({}, 'name').sort({ name: 1 }).lean()).map(brand => brand.name),
+      sizes: sizeSystems.sizeRange(sizeSystems.DEFAULT_SYSTEM, sizeSystems.DEFAULT_GENDER),
+      sizeRanges: sizeSystems.allSizeRanges(),
+      sizeGenders: sizeSystems.SIZE_GENDERS,
+      sizeFits: sizeSystems.SIZE_FITS,
       colors: [
         { name: 'Black', code: '#000000' },
         { name: 'White', code: '#FFFFFF' },
@@ -486,13 +533,18 @@ router.post('/products/create', upload.array('images', 10), async (req, res) =>
     
     // 1. VALIDATION
     const { name, description, price, discountPrice, category, brand, featured } = req.body;
+    const sizeSystem = sizeSystems.normalizeSystem(req.body.sizeSystem) || sizeSystems.DEFAULT_SYSTEM;
+    const gender = sizeSystems.normalizeGender(req.body.gender);
+    const fit = sizeSystems.SIZE_FITS.includes(req.body.fit) ? req.body.fit : 'regular';
     
     const errors = [];
     if (!name || name.trim() === '') errors.push('Product name is required');
     if (!description || description.trim() === '') errors.push('Description is required');
     if (!price || isNaN(price) || parseFloat(price) <= 0) errors.push('Valid price is required');
     if (!category) errors.push('Category is required');
+    else if (!(await Category.exists({ slug: category }))) errors.push('Selected category does not exist');
     if (!brand) errors.push('Brand is required');
+    else if (!(await Brand.exists({ name: brand }))) errors.push('Selected brand does not exist');
     
     if (errors.length > 0) {
       req.flash('error_msg', errors.join(', '));
@@ -519,7 +571,8 @@ router.post('/products/create', upload.array('images', 10), async (req, res) =>
       }
       
       sizesArray.forEach(sizeStr => {
-        const size = parseInt(sizeStr);
+        const size = sizeSystems.parseSize(sizeStr);
+        if (size === null) return;
         const quantityKey = `size_${size}_quantity`;
         const quantity = parseInt(req.body[quantityKey]) || 0;
         
@@ -534,7 +587,7 @@ router.post('/products/create', upload.array('images', 10), async (req, res) =>
     
     // If no sizes from checkboxes, check individual fields
     if (sizes.length === 0) {
-      for (let size = 6; size <= 12; size++) {
+      sizeSystems.sizeRange(sizeSystem, gender).forEach(size => {
         const quantityKey = `size_${size}_quantity`;
         if (req.body[quantityKey] && parseInt(req.body[quantityKey]) > 0) {
           sizes.push({
@@ -542,7 +595,7 @@ router.post('/products/create', upload.array('images', 10), async (req, res) =>
             quantity: parseInt(req.body[quantityKey])
           });
         }
-      }
+      });
     }
     
     // Default size if none selected
@@ -552,6 +605,10 @@ router.post('/products/create', upload.array('images', 10), async (req, res) =>
     
     console.log('👟 Processed sizes:', sizes);
     
+    // 3b. PROCESS VARIANTS (size × color stock, overrides per-size stock)
+    const variants = parseVariants(req.body);
+    console.log('🏷️ Processed variants:', variants.length);
+    
     // 4. PROCESS COLORS
     const colors = [];
     
@@ -621,7 +678,11 @@ router.post('/products/create', upload.array('images', 10), async (req, res) =>
       category: category,
       brand: brand,
       sizes: sizes,
+      sizeSystem: sizeSystem,
+      gender: gender,
+      fit: fit,
       colors: colors,
+      variants: variants,
       featured: featured === 'on',
       rating: 0,
       reviewsCount: 0,
@@ -635,10 +696,18 @@ router.post('/products/create', upload.array('images', 10), async (req, res) =>
     const product = new Product(productData);
     
     const savedProduct = await product.save();
+    searchIndex.invalidate();
     
     console.log('✅ Product saved successfully! ID:', savedProduct._id);
     console.log('Total images saved:', savedProduct.colors.reduce((sum, color) => sum + color.images.length, 0));
     
+    // Opening stock goes in the inventory ledger
+    await inventory.recordLevels(new Map(), savedProduct, {
+      reason: 'restock',
+      actor: inventory.actor(req.session.user, 'admin'),
+      note: 'Opening stock'
+    });
+    
     // 10. SUCCESS RESPONSE
     req.flash('success_msg', `Product "${savedProduct.name}" added successfully with ${req.files.length} images!`);
     res.redirect('/products');
@@ -691,9 +760,19 @@ router.get('/products/edit/:id', async (req, res) => {
       title: `Edit ${product.name}`,
       user: req.session.user,
       product: product,
-      categories: ['sneakers', 'boots', 'sandals', 'loafers', 'sports', 'formal'],
-      brands: ['Nike', 'Adidas', 'Puma', 'Reebok', 'Woodland', 'Bata', 'Campus', 'Red Tape', 'Sparx', 'Skechers', 'Crocs', 'Converse', 'Vans'],
-      sizes: [6, 7, 8, 9, 10, 11, 12],
+      // The discount to show in the form (a running sale's price lives in discountPrice)
+      regularDiscountPrice: sales.regularDiscountPrice(product),
+      priceHistory: await PriceHistory.find({ product: product._id }).sort({ createdAt: -1 }).limit(20).lean(),
+      categories: await Category.getFlatList(),
+      brands: (await Brand.find({}, 'name').sort({ name: 1 }).lean()).map(brand => brand.name),
+      // The chart's sizes plus any off-chart sizes this product already stocks
+      sizes: [...new Set([
+        ...sizeSystems.sizeRange(product.sizeSystem, product.gender),
+        ...product.sizes.map(size => size.size)
+      ])].sort((a, b) => a - b),
+      sizeRanges: sizeSystems.allSizeRanges(),
+      sizeGenders: sizeSystems.SIZE_GENDERS,
+      sizeFits: sizeSystems.SIZE_FITS,
       colors: [
         { name: 'Black', code: '#000000' },
         { name: 'White', code: '#FFFFFF' },
@@ -744,12 +823,8 @@ router.post('/edit/:id', ensureAdmin, upload.array('images', 10), async (req, re
     product.brand = req.body.brand;
     product.featured = req.body.featured === 'on';
 
-    // Update sizes
-    if (req.body.sizes && Array.isArray(req.body.sizes)) {
-      product.sizes = req.body.sizes.map(size => ({
-        size: parseInt(size),
-        quantity: parseInt(req.body[`size_${size}_quantity`] || 0)
-      }));
+    if (req.body.sizeSystem) {
+      product.sizeSystem = sizeSystems.normalizeSystem(req.body.sizeSystem) || product.sizeSystem;
     }
 
     // Update colors
@@ -780,6 +855,18 @@ router.post('/edit/:id', ensureAdmin, upload.array('images', 10), async (req, re
 
     await product.save();
 
+    // Sizes are added or removed without touching stock (see inventory.updateRows)
+    if (req.body.sizes && Array.isArray(req.body.sizes)) {
+      await inventory.updateRows(product, {
+        sizes: req.body.sizes.map(size => ({ size: sizeSystems.parseSize(size) })).filter(row => row.size !== null),
+        variants: product.variants.map(variant => variant.toObject())
+      }, {
+        actor: inventory.actor(req.user, 'admin'),
+        note: 'Removed on the product edit form'
+      });
+    }
+    searchIndex.invalidate();
+
     req.flash('success_msg', 'Product updated successfully!');
     res.redirect('/admin/products');
     
@@ -822,20 +909,25 @@ router.post('/products/update/:id', upload.array('newImages', 10), async (req, r
     
     // 1. VALIDATION
     const { name, description, price, discountPrice, category, brand, featured } = req.body;
+    const sizeSystem = sizeSystems.normalizeSystem(req.body.sizeSystem) || sizeSystems.DEFAULT_SYSTEM;
+    const gender = sizeSystems.normalizeGender(req.body.gender);
+    const fit = sizeSystems.SIZE_FITS.includes(req.body.fit) ? req.body.fit : 'regular';
     
     const errors = [];
     if (!name || name.trim() === '') errors.push('Product name is required');
     if (!description || description.trim() === '') errors.push('Description is required');
     if (!price || isNaN(price) || parseFloat(price) <= 0) errors.push('Valid price is required');
     if (!category) errors.push('Category is required');
+    else if (!(await Category.exists({ slug: category }))) errors.push('Selected category does not exist');
     if (!brand) errors.push('Brand is required');
+    else if (!(await Brand.exists({ name: brand }))) errors.push('Selected brand does not exist');
     
     if (errors.length > 0) {
       req.flash('error_msg', errors.join(', '));
       return res.redirect(`/admin/products/edit/${productId}`);
     }
     
-    // 2. PROCESS SIZES
+    // 2. PROCESS SIZES (quantities are read-only on the form, see inventory.updateRows)
     const sizes = [];
     
     // Get sizes from checkboxes
@@ -847,33 +939,26 @@ router.post('/products/update/:id', upload.array('newImages', 10), async (req, r
       }
       
       sizesArray.forEach(sizeStr => {
-        const size = parseInt(sizeStr);
-        const quantityKey = `size_${size}_quantity`;
-        const quantity = parseInt(req.body[quantityKey]) || 0;
-        
-        if (quantity > 0) {
-          sizes.push({
-            size: size,
-            quantity: quantity
-          });
-        }
+        const size = sizeSystems.parseSize(sizeStr);
+        if (size === null) return;
+        sizes.push({ size: size });
       });
     }
     
     // If no sizes from checkboxes, check individual fields
     if (sizes.length === 0) {
-      for (let size = 6; size <= 12; size++) {
-        const quantityKey = `size_${size}_quantity`;
-        if (req.body[quantityKey] && parseInt(req.body[quantityKey]) > 0) {
-          sizes.push({
-            size: size,
-            quantity: parseInt(req.body[quantityKey])
-          });
+      sizeSystems.sizeRange(sizeSystem, gender).forEach(size => {
+        if (req.body[`size_${size}_quantity`] !== undefined) {
+          sizes.push({ size: size });
         }
-      }
+      });
     }
     
-    console.log('👟 Processed sizes:', sizes);
+    // 2b. PROCESS VARIANTS (size × color stock, overrides per-size stock)
+    // SKUs left blank are generated when the rows are applied in step 9
+    const variants = parseVariants(req.body);
+    console.log('👟 Processed sizes:', sizes.map(row => row.size));
+    console.log('🏷️ Processed variants:', variants.length);
     
     // 3. PROCESS COLORS
     const colors = [];
@@ -960,10 +1045,7 @@ router.post('/products/update/:id', upload.array('newImages', 10), async (req, r
     
     console.log('🎨 Colors with images:', colors.map(c => ({ name: c.name, images: c.images.length })));
     
-    // 7. CALCULATE TOTAL STOCK
-    const totalStock = sizes.reduce((sum, size) => sum + size.quantity, 0);
-    
-    // 8. UPDATE PRODUCT OBJECT
+    // 7. UPDATE PRODUCT OBJECT (sizes and variants are applied separately in step 9)
     const updateData = {
       name: name.trim(),
       description: description.trim(),
@@ -971,7 +1053,9 @@ router.post('/products/update/:id', upload.array('newImages', 10), async (req, r
       discountPrice: discountPrice ? parseFloat(discountPrice) : undefined,
       category: category,
       brand: brand,
-      sizes: sizes,
+      sizeSystem: sizeSystem,
+      gender: gender,
+      fit: fit,
       colors: colors,
       featured: featured === 'on',
       updatedAt: new Date()
@@ -979,21 +1063,72 @@ router.post('/products/update/:id', upload.array('newImages', 10), async (req, r
     
     console.log('💾 Product update data ready for save');
     
-    // 9. UPDATE IN DATABASE
-    const updatedProduct = await Product.findByIdAndUpdate(
-      productId,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // Images as they were before this update, for the cleanup in step 10
+    const previousColors = existingProduct.toObject().colors || [];
+    
+    // Prices before the update, for the price history (the product's own discount, not a sale's)
+    const previousPrices = {
+      price: existingProduct.price,
+      discountPrice: sales.regularDiscountPrice(existingProduct)
+    };
+    
+    // While a scheduled sale runs, discountPrice holds the sale price; the form's
+    // discount is the one to go back to when the sale ends
+    const onSale = Boolean(existingProduct.activeSale && existingProduct.activeSale.sale);
+    const salePrice = existingProduct.discountPrice;
+    
+    // 9. UPDATE IN DATABASE (save() so the slug hook runs; it only writes the fields above)
+    existingProduct.set(updateData);
+    if (onSale) {
+      existingProduct.activeSale.regularDiscountPrice = updateData.discountPrice;
+      existingProduct.discountPrice = salePrice;
+    }
+    await existingProduct.save();
+    
+    // Sizes and variants go in as targeted updates that never write a stock level, so
+    // sales made while the form was open stay counted; stock changes on the inventory screen
+    await inventory.updateRows(existingProduct, { sizes, variants }, {
+      actor: inventory.actor(req.session.user, 'admin'),
+      note: 'Removed on the product edit form'
+    });
+    
+    const updatedProduct = await Product.findById(productId);
     
     console.log('✅ Product updated successfully! ID:', updatedProduct._id);
+    searchIndex.invalidate();
+    
+    // 9a. PRICE HISTORY AND SALES (a new price or category changes what a running sale charges)
+    try {
+      await PriceHistory.record(updatedProduct._id, previousPrices, {
+        price: updatedProduct.price,
+        discountPrice: updateData.discountPrice
+      }, {
+        source: 'admin',
+        changedBy: req.session.user.id,
+        changedByName: req.session.user.name
+      });
+      await sales.refresh();
+    } catch (priceError) {
+      console.error('❌ Price history / sales error:', priceError);
+    }
+    
+    // 9b. BACK-IN-STOCK ALERTS (the update itself already succeeded)
+    let alertsQueued = 0;
+    try {
+      alertsQueued = await stockAlerts.notifyRestocked(updatedProduct, {
+        siteUrl: process.env.SITE_URL || `${req.protocol}://${req.get('host')}`
+      });
+      if (alertsQueued > 0) console.log(`🔔 Queued ${alertsQueued} back-in-stock notification(s)`);
+    } catch (alertError) {
+      console.error('❌ Back-in-stock alerts error:', alertError);
+    }
     
     // 10. DELETE UNCHECKED IMAGES FROM CLOUDINARY
-    if (existingProduct.colors && existingProduct.colors.length > 0) {
+    if (previousColors.length > 0) {
       const cloudinary = require('../config/cloudinary');
       const deletePromises = [];
       
-      existingProduct.colors.forEach(color => {
+      previousColors.forEach(color => {
         color.images.forEach(image => {
           // Delete if image is not in keepImagesArray
           if (image.public_id && !keepImagesArray.includes(image.public_id)) {
@@ -1016,7 +1151,8 @@ router.post('/products/update/:id', upload.array('newImages', 10), async (req, r
     }
     
     // 11. SUCCESS RESPONSE
-    req.flash('success_msg', `Product "${updatedProduct.name}" updated successfully!`);
+    req.flash('success_msg', `Product "${updatedProduct.name}" updated successfully!` +
+      (alertsQueued > 0 ? ` ${alertsQueued} back-in-stock notification(s) queued.` : ''));
     res.redirect('/admin/products');
     
   } catch (error) {
@@ -1083,11 +1219,28 @@ router.post('/products/delete/:id', async (req, res) => {
       });
     }
     
+    // Reviews go with the product, photos included
+    const reviews = await Review.find({ product: productId }, 'photos').lean();
+    reviews.forEach(review => {
+      review.photos.forEach(photo => {
+        deletePromises.push(
+          cloudinary.uploader.destroy(photo.public_id)
+            .catch(err => console.error(`Failed to delete review photo: ${photo.public_id}`, err))
+        );
+      });
+    });
+    
     // Wait for all image deletions
     await Promise.all(deletePromises);
     
     // Delete product from database
     await Product.findByIdAndDelete(productId);
+    await Review.deleteMany({ product: productId });
+    await Question.deleteMany({ product: productId });
+    await StockAlert.deleteMany({ product: productId });
+    await PriceHistory.deleteMany({ product: productId });
+    await Sale.updateMany({ products: productId }, { $pull: { products: productId } });
+    searchIndex.invalidate();
     
     console.log('✅ Product deleted successfully!');
     req.flash('success_msg', `Product "${product.name}" deleted successfully!`);
@@ -1100,35 +1253,1691 @@ router.post('/products/delete/:id', async (req, res) => {
   }
 });
 
-// View Order Details
-router.get('/orders/:id', async (req, res) => {
+// ==================== CATEGORIES ====================
+
+// Read the category form; returns the fields to save and any validation errors
+function readCategoryForm(body) {
+  const name = (body.name || '').trim();
+  const slug = Category.slugify(body.slug || name);
+  const errors = [];
+
+  if (!name) errors.push('Category name is required');
+  if (!slug) errors.push('A valid slug is required');
+
+  return {
+    errors,
+    fields: {
+      name,
+      slug,
+      parent: body.parent || null,
+      description: (body.description || '').trim(),
+      icon: (body.icon || '').trim(),
+      badge: (body.badge || '').trim(),
+      sortOrder: parseInt(body.sortOrder) || 0,
+      isActive: body.isActive === 'on'
+    }
+  };
+}
+
+// Category tree with product counts
+router.get('/categories', async (req, res) => {
+  try {
+    console.log('📄 GET /admin/categories - Rendering category list');
+    
     if (!req.session.user || req.session.user.role !== 'admin') {
-        return res.redirect('/admin-login');
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
     }
     
-    try {
-        const Order = mongoose.model('Order');
-        const order = await Order.findById(req.params.id)
-            .populate('user', 'name email phone')
-            .lean();
-        
-        if (!order) {
-            req.session.error_msg = 'Order not found';
-            return res.redirect('/admin/orders');
-        }
-        
-        res.render('admin/order-details', {
-            title: 'Order Details',
-            user: req.session.user,
-            currentPage: 'orders',
-            order: order
-        });
-        
-    } catch (error) {
-        console.error("Error loading order details:", error);
-        req.session.error_msg = 'Error loading order details';
-        res.redirect('/admin/orders');
+    const [categories, productCounts] = await Promise.all([
+      Category.getFlatList(),
+      Product.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }])
+    ]);
+    const countBySlug = new Map(productCounts.map(row => [row._id, row.count]));
+    
+    res.render('admin/categories', {
+      title: 'Manage Categories',
+      user: req.session.user,
+      categories: categories.map(category => ({
+        ...category,
+        productCount: countBySlug.get(category.slug) || 0
+      })),
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading categories:', error);
+    req.flash('error_msg', 'Error loading categories');
+    res.redirect('/admin/dashboard');
+  }
+});
+
+// GET: Show category creation form
+router.get('/categories/create', async (req, res) => {
+  try {
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    res.render('admin/category-form', {
+      title: 'Add Category',
+      user: req.session.user,
+      category: null,
+      parents: await Category.getFlatList(),
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading category form:', error);
+    req.flash('error_msg', 'Error loading form');
+    res.redirect('/admin/categories');
+  }
+});
+
+// POST: Create category
+router.post('/categories/create', upload.single('image'), async (req, res) => {
+  try {
+    console.log('🚀 POST /admin/categories/create - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const { fields, errors } = readCategoryForm(req.body);
+    
+    if (fields.slug && await Category.exists({ slug: fields.slug })) {
+      errors.push(`Slug "${fields.slug}" is already in use`);
+    }
+    if (fields.parent && !(await Category.exists({ _id: fields.parent }))) {
+      errors.push('Parent category not found');
+    }
+    
+    if (errors.length > 0) {
+      if (req.file) {
+        const cloudinary = require('../config/cloudinary');
+        cloudinary.uploader.destroy(req.file.filename).catch(err => console.error('Failed to delete image:', err));
+      }
+      req.flash('error_msg', errors.join(', '));
+      return res.redirect('/admin/categories/create');
+    }
+    
+    if (req.file) {
+      fields.image = {
+        url: req.file.path,
+        public_id: req.file.filename,
+        secure_url: req.file.path
+      };
+    }
+    
+    const category = await Category.create(fields);
+    
+    console.log('✅ Category created:', category.slug);
+    req.flash('success_msg', `Category "${category.name}" created successfully!`);
+    res.redirect('/admin/categories');
+    
+  } catch (error) {
+    console.error('❌ ERROR in category creation:', error);
+    req.flash('error_msg', `Error creating category: ${error.message}`);
+    res.redirect('/admin/categories/create');
+  }
+});
+
+// GET: Show category edit form
+router.get('/categories/edit/:id', async (req, res) => {
+  try {
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const category = await Category.findById(req.params.id).lean();
+    
+    if (!category) {
+      req.flash('error_msg', 'Category not found');
+      return res.redirect('/admin/categories');
+    }
+    
+    // A category can't be nested under itself or anything below it
+    const subtree = new Set(await Category.getSubtreeSlugs(category.slug));
+    const parents = (await Category.getFlatList()).filter(parent => !subtree.has(parent.slug));
+    
+    res.render('admin/category-form', {
+      title: `Edit ${category.name}`,
+      user: req.session.user,
+      category,
+      parents,
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading category:', error);
+    req.flash('error_msg', 'Error loading category');
+    res.redirect('/admin/categories');
+  }
+});
+
+// POST: Update category
+router.post('/categories/update/:id', upload.single('image'), async (req, res) => {
+  const categoryId = req.params.id;
+  
+  try {
+    console.log('🔄 POST /admin/categories/update/:id - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      req.flash('error_msg', 'Category not found');
+      return res.redirect('/admin/categories');
+    }
+    
+    const { fields, errors } = readCategoryForm(req.body);
+    
+    if (fields.slug !== category.slug && await Category.exists({ slug: fields.slug })) {
+      errors.push(`Slug "${fields.slug}" is already in use`);
+    }
+    if (fields.parent && await Category.wouldCreateCycle(category._id, fields.parent)) {
+      errors.push('A category cannot be nested under itself or one of its subcategories');
+    }
+    
+    const cloudinary = require('../config/cloudinary');
+    
+    if (errors.length > 0) {
+      if (req.file) {
+        cloudinary.uploader.destroy(req.file.filename).catch(err => console.error('Failed to delete image:', err));
+      }
+      req.flash('error_msg', errors.join(', '));
+      return res.redirect(`/admin/categories/edit/${categoryId}`);
+    }
+    
+    // Replace or drop the tile image
+    const oldImageId = category.image && category.image.public_id;
+    if (req.file) {
+      fields.image = {
+        url: req.file.path,
+        public_id: req.file.filename,
+        secure_url: req.file.path
+      };
+    } else if (req.body.removeImage === 'on') {
+      fields.image = undefined;
+    }
+    if (oldImageId && (req.file || req.body.removeImage === 'on')) {
+      cloudinary.uploader.destroy(oldImageId).catch(err => console.error('Failed to delete image:', err));
+    }
+    
+    const oldSlug = category.slug;
+    category.set(fields);
+    await category.save();
+    
+    // Products and wishlist entries refer to categories by slug
+    if (oldSlug !== category.slug) {
+      const Wishlist = mongoose.model('Wishlist');
+      const result = await Product.updateMany({ category: oldSlug }, { $set: { category: category.slug } });
+      await Wishlist.updateMany(
+        { 'items.category': oldSlug },
+        { $set: { 'items.$[item].category': category.slug } },
+        { arrayFilters: [{ 'item.category': oldSlug }] }
+      );
+      await Sale.updateMany({ categories: oldSlug }, { $set: { 'categories.$': category.slug } });
+      await Coupon.updateMany({ categories: oldSlug }, { $set: { 'categories.$': category.slug } });
+      searchIndex.invalidate();
+      console.log(`🔁 Moved ${result.modifiedCount} product(s) from "${oldSlug}" to "${category.slug}"`);
+    }
+    
+    console.log('✅ Category updated:', category.slug);
+    req.flash('success_msg', `Category "${category.name}" updated successfully!`);
+    res.redirect('/admin/categories');
+    
+  } catch (error) {
+    console.error('❌ ERROR in category update:', error);
+    req.flash('error_msg', `Error updating category: ${error.message}`);
+    res.redirect(`/admin/categories/edit/${categoryId}`);
+  }
+});
+
+// POST: Delete category (only when nothing depends on it)
+router.post('/categories/delete/:id', async (req, res) => {
+  try {
+    console.log('🗑️ POST /admin/categories/delete/:id - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      req.flash('error_msg', 'Category not found');
+      return res.redirect('/admin/categories');
+    }
+    
+    const [childCount, productCount] = await Promise.all([
+      Category.countDocuments({ parent: category._id }),
+      Product.countDocuments({ category: category.slug })
+    ]);
+    
+    if (childCount > 0 || productCount > 0) {
+      req.flash('error_msg', `"${category.name}" still has ${childCount} subcategory(ies) and ${productCount} product(s). Move them first.`);
+      return res.redirect('/admin/categories');
+    }
+    
+    if (category.image && category.image.public_id) {
+      const cloudinary = require('../config/cloudinary');
+      cloudinary.uploader.destroy(category.image.public_id).catch(err => console.error('Failed to delete image:', err));
+    }
+    
+    await Category.findByIdAndDelete(category._id);
+    
+    console.log('✅ Category deleted:', category.slug);
+    req.flash('success_msg', `Category "${category.name}" deleted successfully!`);
+    res.redirect('/admin/categories');
+    
+  } catch (error) {
+    console.error('❌ ERROR in category deletion:', error);
+    req.flash('error_msg', `Error deleting category: ${error.message}`);
+    res.redirect('/admin/categories');
+  }
+});
+
+// ==================== BRANDS ====================
+
+// Read the brand form; returns the fields to save and any validation errors
+function readBrandForm(body) {
+  const name = (body.name || '').trim().replace(/\s+/g, ' ');
+  const errors = [];
+
+  if (!name) errors.push('Brand name is required');
+
+  return {
+    errors,
+    fields: {
+      name,
+      slug: Brand.slugify(body.slug || name),
+      description: (body.description || '').trim(),
+      country: (body.country || '').trim(),
+      isActive: body.isActive === 'on'
+    }
+  };
+}
+
+// Brand list with product counts
+router.get('/brands', async (req, res) => {
+  try {
+    console.log('📄 GET /admin/brands - Rendering brand list');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const [brands, productCounts] = await Promise.all([
+      Brand.find().sort({ name: 1 }).lean(),
+      Product.aggregate([{ $group: { _id: '$brand', count: { $sum: 1 } } }])
+    ]);
+    const countByName = new Map(productCounts.map(row => [row._id, row.count]));
+    
+    // Brand strings on products that no Brand document covers (run migrate-brands.js)
+    const knownNames = new Set(brands.map(brand => brand.name));
+    const unmatched = productCounts.filter(row => row._id && !knownNames.has(row._id));
+    
+    res.render('admin/brands', {
+      title: 'Manage Brands',
+      user: req.session.user,
+      brands: brands.map(brand => ({
+        ...brand,
+        productCount: countByName.get(brand.name) || 0
+      })),
+      unmatched,
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading brands:', error);
+    req.flash('error_msg', 'Error loading brands');
+    res.redirect('/admin/dashboard');
+  }
+});
+
+// GET: Show brand creation form
+router.get('/brands/create', (req, res) => {
+  if (!req.session.user || req.session.user.role !== 'admin') {
+    req.flash('error_msg', 'Please login as admin first');
+    return res.redirect('/admin-login');
+  }
+  
+  res.render('admin/brand-form', {
+    title: 'Add Brand',
+    user: req.session.user,
+    brand: null,
+    // Prefill from the "unmatched brands" shortcut on the list page
+    suggestedName: req.query.name || '',
+    success_msg: req.flash('success_msg'),
+    error_msg: req.flash('error_msg')
+  });
+});
+
+// POST: Create brand
+router.post('/brands/create', upload.single('logo'), async (req, res) => {
+  try {
+    console.log('🚀 POST /admin/brands/create - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const { fields, errors } = readBrandForm(req.body);
+    
+    if (fields.name && await Brand.findByName(fields.name)) {
+      errors.push(`Brand "${fields.name}" already exists`);
+    }
+    if (fields.slug && await Brand.exists({ slug: fields.slug })) {
+      errors.push(`Slug "${fields.slug}" is already in use`);
+    }
+    
+    if (errors.length > 0) {
+      if (req.file) {
+        const cloudinary = require('../config/cloudinary');
+        cloudinary.uploader.destroy(req.file.filename).catch(err => console.error('Failed to delete logo:', err));
+      }
+      req.flash('error_msg', errors.join(', '));
+      return res.redirect('/admin/brands/create');
     }
+    
+    if (req.file) {
+      fields.logo = {
+        url: req.file.path,
+        public_id: req.file.filename,
+        secure_url: req.file.path
+      };
+    }
+    
+    const brand = await Brand.create(fields);
+    
+    console.log('✅ Brand created:', brand.slug);
+    req.flash('success_msg', `Brand "${brand.name}" created successfully!`);
+    res.redirect('/admin/brands');
+    
+  } catch (error) {
+    console.error('❌ ERROR in brand creation:', error);
+    req.flash('error_msg', `Error creating brand: ${error.message}`);
+    res.redirect('/admin/brands/create');
+  }
+});
+
+// GET: Show brand edit form
+router.get('/brands/edit/:id', async (req, res) => {
+  try {
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const brand = await Brand.findById(req.params.id).lean();
+    
+    if (!brand) {
+      req.flash('error_msg', 'Brand not found');
+      return res.redirect('/admin/brands');
+    }
+    
+    res.render('admin/brand-form', {
+      title: `Edit ${brand.name}`,
+      user: req.session.user,
+      brand,
+      suggestedName: '',
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading brand:', error);
+    req.flash('error_msg', 'Error loading brand');
+    res.redirect('/admin/brands');
+  }
+});
+
+// POST: Update brand
+router.post('/brands/update/:id', upload.single('logo'), async (req, res) => {
+  const brandId = req.params.id;
+  
+  try {
+    console.log('🔄 POST /admin/brands/update/:id - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const brand = await Brand.findById(brandId);
+    if (!brand) {
+      req.flash('error_msg', 'Brand not found');
+      return res.redirect('/admin/brands');
+    }
+    
+    const { fields, errors } = readBrandForm(req.body);
+    
+    const sameName = fields.name ? await Brand.findByName(fields.name) : null;
+    if (sameName && !sameName._id.equals(brand._id)) {
+      errors.push(`Brand "${fields.name}" already exists`);
+    }
+    if (fields.slug !== brand.slug && await Brand.exists({ slug: fields.slug })) {
+      errors.push(`Slug "${fields.slug}" is already in use`);
+    }
+    
+    const cloudinary = require('../config/cloudinary');
+    
+    if (errors.length > 0) {
+      if (req.file) {
+        cloudinary.uploader.destroy(req.file.filename).catch(err => console.error('Failed to delete logo:', err));
+      }
+      req.flash('error_msg', errors.join(', '));
+      return res.redirect(`/admin/brands/edit/${brandId}`);
+    }
+    
+    // Replace or drop the logo
+    const oldLogoId = brand.logo && brand.logo.public_id;
+    if (req.file) {
+      fields.logo = {
+        url: req.file.path,
+        public_id: req.file.filename,
+        secure_url: req.file.path
+      };
+    } else if (req.body.removeLogo === 'on') {
+      fields.logo = undefined;
+    }
+    if (oldLogoId && (req.file || req.body.removeLogo === 'on')) {
+      cloudinary.uploader.destroy(oldLogoId).catch(err => console.error('Failed to delete logo:', err));
+    }
+    
+    const oldName = brand.name;
+    brand.set(fields);
+    await brand.save();
+    
+    // Products and wishlist entries refer to brands by name
+    if (oldName !== brand.name) {
+      const Wishlist = mongoose.model('Wishlist');
+      const result = await Product.updateMany({ brand: oldName }, { $set: { brand: brand.name } });
+      await Wishlist.updateMany(
+        { 'items.brand': oldName },
+        { $set: { 'items.$[item].brand': brand.name } },
+        { arrayFilters: [{ 'item.brand': oldName }] }
+      );
+      await Sale.updateMany({ brands: oldName }, { $set: { 'brands.$': brand.name } });
+      await Coupon.updateMany({ brands: oldName }, { $set: { 'brands.$': brand.name } });
+      searchIndex.invalidate();
+      console.log(`🔁 Renamed brand on ${result.modifiedCount} product(s): "${oldName}" -> "${brand.name}"`);
+    }
+    
+    console.log('✅ Brand updated:', brand.slug);
+    req.flash('success_msg', `Brand "${brand.name}" updated successfully!`);
+    res.redirect('/admin/brands');
+    
+  } catch (error) {
+    console.error('❌ ERROR in brand update:', error);
+    req.flash('error_msg', `Error updating brand: ${error.message}`);
+    res.redirect(`/admin/brands/edit/${brandId}`);
+  }
+});
+
+// POST: Delete brand (only when no products use it)
+router.post('/brands/delete/:id', async (req, res) => {
+  try {
+    console.log('🗑️ POST /admin/brands/delete/:id - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) {
+      req.flash('error_msg', 'Brand not found');
+      return res.redirect('/admin/brands');
+    }
+    
+    const productCount = await Product.countDocuments({ brand: brand.name });
+    if (productCount > 0) {
+      req.flash('error_msg', `"${brand.name}" is used by ${productCount} product(s). Move them to another brand first.`);
+      return res.redirect('/admin/brands');
+    }
+    
+    if (brand.logo && brand.logo.public_id) {
+      const cloudinary = require('../config/cloudinary');
+      cloudinary.uploader.destroy(brand.logo.public_id).catch(err => console.error('Failed to delete logo:', err));
+    }
+    
+    await Brand.findByIdAndDelete(brand._id);
+    
+    console.log('✅ Brand deleted:', brand.slug);
+    req.flash('success_msg', `Brand "${brand.name}" deleted successfully!`);
+    res.redirect('/admin/brands');
+    
+  } catch (error) {
+    console.error('❌ ERROR in brand deletion:', error);
+    req.flash('error_msg', `Error deleting brand: ${error.message}`);
+    res.redirect('/admin/brands');
+  }
+});
+
+// ==================== REVIEWS ====================
+
+// Review moderation queue (pending first; ?status= shows the other states)
+router.get('/reviews', async (req, res) => {
+  try {
+    console.log('📄 GET /admin/reviews - Rendering review queue');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const status = Review.REVIEW_STATUSES.includes(req.query.status) ? req.query.status : 'pending';
+    
+    const [reviews, statusCounts] = await Promise.all([
+      Review.find({ status })
+        .populate('product', 'name slug')
+        .populate('user', 'name email')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .limit(100)
+        .lean(),
+      Review.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+    
+    res.render('admin/reviews', {
+      title: 'Review Moderation',
+      user: req.session.user,
+      reviews,
+      status,
+      statuses: Review.REVIEW_STATUSES,
+      counts: Object.fromEntries(statusCounts.map(row => [row._id, row.count])),
+      fitLabels: Review.FIT_LABELS,
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading reviews:', error);
+    req.flash('error_msg', 'Error loading reviews');
+    res.redirect('/admin/dashboard');
+  }
+});
+
+// Approve or reject a review; saving recomputes the product's rating
+async function moderateReview(req, res, status) {
+  try {
+    console.log(`📝 POST /admin/reviews/${req.params.id} - Marking ${status}`);
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      req.flash('error_msg', 'Review not found');
+      return res.redirect('/admin/reviews');
+    }
+    
+    const previousStatus = review.status;
+    review.status = status;
+    review.moderationNote = (req.body.moderationNote || '').trim() || undefined;
+    review.moderatedBy = req.session.user.id;
+    review.moderatedAt = new Date();
+    await review.save();
+    
+    console.log(`✅ Review ${review._id} ${status}`);
+    req.flash('success_msg', `Review "${review.title}" ${status}`);
+    res.redirect(`/admin/reviews?status=${previousStatus}`);
+    
+  } catch (error) {
+    console.error(`❌ ERROR marking review ${status}:`, error);
+    req.flash('error_msg', `Error updating review: ${error.message}`);
+    res.redirect('/admin/reviews');
+  }
+}
+
+router.post('/reviews/approve/:id', (req, res) => moderateReview(req, res, 'approved'));
+router.post('/reviews/reject/:id', (req, res) => moderateReview(req, res, 'rejected'));
+
+// POST: Delete a review and its photos
+router.post('/reviews/delete/:id', async (req, res) => {
+  try {
+    console.log('🗑️ POST /admin/reviews/delete/:id - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const review = await Review.findByIdAndDelete(req.params.id);
+    if (!review) {
+      req.flash('error_msg', 'Review not found');
+      return res.redirect('/admin/reviews');
+    }
+    
+    if (review.photos.length > 0) {
+      const cloudinary = require('../config/cloudinary');
+      review.photos.forEach(photo => {
+        cloudinary.uploader.destroy(photo.public_id).catch(err => console.error('Failed to delete review photo:', err));
+      });
+    }
+    
+    console.log('✅ Review deleted:', review._id);
+    req.flash('success_msg', `Review "${review.title}" deleted successfully!`);
+    res.redirect(`/admin/reviews?status=${review.status}`);
+    
+  } catch (error) {
+    console.error('❌ ERROR in review deletion:', error);
+    req.flash('error_msg', `Error deleting review: ${error.message}`);
+    res.redirect('/admin/reviews');
+  }
+});
+
+// ==================== QUESTIONS ====================
+
+// Answer queue: unanswered questions oldest first (?status=answered shows the rest)
+router.get('/questions', async (req, res) => {
+  try {
+    console.log('📄 GET /admin/questions - Rendering answer queue');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const status = req.query.status === 'answered' ? 'answered' : 'open';
+    
+    const [questions, openCount, answeredCount] = await Promise.all([
+      Question.find({ status })
+        .populate('product', 'name slug')
+        .populate('user', 'name email')
+        .sort({ createdAt: status === 'open' ? 1 : -1 })
+        .limit(100)
+        .lean(),
+      Question.countDocuments({ status: 'open' }),
+      Question.countDocuments({ status: 'answered' })
+    ]);
+    
+    res.render('admin/questions', {
+      title: 'Product Questions',
+      user: req.session.user,
+      questions,
+      status,
+      counts: { open: openCount, answered: answeredCount },
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading questions:', error);
+    req.flash('error_msg', 'Error loading questions');
+    res.redirect('/admin/dashboard');
+  }
+});
+
+// POST: Answer a question (shown on the product page straight away)
+router.post('/questions/answer/:id', async (req, res) => {
+  try {
+    console.log('💬 POST /admin/questions/answer/:id - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      req.flash('error_msg', 'Question not found');
+      return res.redirect('/admin/questions');
+    }
+    
+    const body = (req.body.body || '').trim();
+    if (!body) {
+      req.flash('error_msg', 'Answer cannot be empty');
+      return res.redirect('/admin/questions');
+    }
+    
+    await question.addAnswer(body, req.session.user.id);
+    
+    console.log('✅ Question answered:', question._id);
+    req.flash('success_msg', 'Answer posted successfully!');
+    res.redirect('/admin/questions');
+    
+  } catch (error) {
+    console.error('❌ ERROR answering question:', error);
+    req.flash('error_msg', `Error posting answer: ${error.message}`);
+    res.redirect('/admin/questions');
+  }
+});
+
+// POST: Delete a question with its answers
+router.post('/questions/delete/:id', async (req, res) => {
+  try {
+    console.log('🗑️ POST /admin/questions/delete/:id - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const question = await Question.findByIdAndDelete(req.params.id);
+    if (!question) {
+      req.flash('error_msg', 'Question not found');
+      return res.redirect('/admin/questions');
+    }
+    
+    console.log('✅ Question deleted:', question._id);
+    req.flash('success_msg', 'Question deleted successfully!');
+    res.redirect(`/admin/questions?status=${question.status}`);
+    
+  } catch (error) {
+    console.error('❌ ERROR in question deletion:', error);
+    req.flash('error_msg', `Error deleting question: ${error.message}`);
+    res.redirect('/admin/questions');
+  }
+});
+
+// ==================== SALES ====================
+
+// Mongo filter for a tab on the sales list
+function saleStatusFilter(status, now) {
+  switch (status) {
+    case 'live': return { isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } };
+    case 'scheduled': return { isActive: true, startsAt: { $gt: now } };
+    case 'ended': return { endsAt: { $lte: now } };
+    case 'paused': return { isActive: false, endsAt: { $gt: now } };
+    default: return {};
+  }
+}
+
+// Read the sale form; returns the fields to save and any validation errors
+function readSaleForm(body) {
+  const toList = value => (Array.isArray(value) ? value : (value ? [value] : []))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  
+  const name = (body.name || '').trim();
+  const scope = Sale.SCOPES.includes(body.scope) ? body.scope : null;
+  const products = toList(body.products).filter(id => mongoose.isValidObjectId(id));
+  const categories = toList(body.categories);
+  const brands = toList(body.brands);
+  const discountType = Sale.DISCOUNT_TYPES.includes(body.discountType) ? body.discountType : 'percent';
+  const value = parseFloat(body.value);
+  const startsAt = body.startsAt ? new Date(body.startsAt) : null;
+  const endsAt = body.endsAt ? new Date(body.endsAt) : null;
+  const errors = [];
+  
+  if (!name) errors.push('Sale name is required');
+  if (!scope) errors.push('Choose what the sale applies to');
+  else if (scope === 'product' && products.length === 0) errors.push('Pick at least one product');
+  else if (scope === 'category' && categories.length === 0) errors.push('Pick at least one category');
+  else if (scope === 'brand' && brands.length === 0) errors.push('Pick at least one brand');
+  if (isNaN(value) || value <= 0) errors.push('Discount must be more than zero');
+  else if (discountType === 'percent' && value >= 100) errors.push('A percent discount must be below 100');
+  if (!startsAt || isNaN(startsAt)) errors.push('Start date is required');
+  if (!endsAt || isNaN(endsAt)) errors.push('End date is required');
+  else if (startsAt && endsAt <= startsAt) errors.push('The sale must end after it starts');
+  
+  return {
+    errors,
+    fields: {
+      name,
+      scope,
+      products: scope === 'product' ? products : [],
+      categories: scope === 'category' ? categories : [],
+      brands: scope === 'brand' ? brands : [],
+      discountType,
+      value,
+      startsAt,
+      endsAt,
+      isActive: body.isActive === 'on'
+    }
+  };
+}
+
+// Products, categories and brands the sale form can pick from
+async function saleFormOptions() {
+  const [products, categories, brands] = await Promise.all([
+    Product.find({}, 'name brand').sort({ name: 1 }).lean(),
+    Category.getFlatList(),
+    Brand.find({}, 'name').sort({ name: 1 }).lean()
+  ]);
+  
+  return { products, categories, brands: brands.map(brand => brand.name) };
+}
+
+// Sale list with status tabs
+router.get('/sales', async (req, res) => {
+  try {
+    console.log('📄 GET /admin/sales - Rendering sale list');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const now = new Date();
+    const status = ['live', 'scheduled', 'ended', 'paused'].includes(req.query.status) ? req.query.status : 'all';
+    
+    const [saleList, productCounts] = await Promise.all([
+      Sale.find(saleStatusFilter(status, now)).sort({ startsAt: -1 }).limit(100),
+      Product.aggregate([
+        { $match: { 'activeSale.sale': { $ne: null } } },
+        { $group: { _id: '$activeSale.sale', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countBySale = new Map(productCounts.map(row => [row._id.toString(), row.count]));
+    
+    res.render('admin/sales', {
+      title: 'Scheduled Sales',
+      user: req.session.user,
+      sales: saleList.map(sale => ({
+        sale,
+        status: sale.getStatus(now),
+        productsOnSale: countBySale.get(sale._id.toString()) || 0
+      })),
+      status,
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading sales:', error);
+    req.flash('error_msg', 'Error loading sales');
+    res.redirect('/admin/dashboard');
+  }
+});
+
+// GET: Show sale creation form
+router.get('/sales/create', async (req, res) => {
+  try {
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    res.render('admin/sale-form', {
+      title: 'Schedule Sale',
+      user: req.session.user,
+      sale: null,
+      ...(await saleFormOptions()),
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading sale form:', error);
+    req.flash('error_msg', 'Error loading sale form');
+    res.redirect('/admin/sales');
+  }
+});
+
+// POST: Create sale (prices change as soon as it is live)
+router.post('/sales/create', async (req, res) => {
+  try {
+    console.log('🚀 POST /admin/sales/create - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const { fields, errors } = readSaleForm(req.body);
+    
+    if (errors.length > 0) {
+      req.flash('error_msg', errors.join(', '));
+      return res.redirect('/admin/sales/create');
+    }
+    
+    const sale = await Sale.create({ ...fields, createdBy: req.session.user.id });
+    const result = await sales.refresh();
+    
+    console.log('✅ Sale created:', sale.name);
+    req.flash('success_msg', `Sale "${sale.name}" scheduled successfully!` +
+      (result.started > 0 ? ` Sale prices set on ${result.started} product(s).` : ''));
+    res.redirect('/admin/sales');
+    
+  } catch (error) {
+    console.error('❌ ERROR in sale creation:', error);
+    req.flash('error_msg', `Error creating sale: ${error.message}`);
+    res.redirect('/admin/sales/create');
+  }
+});
+
+// GET: Show sale edit form
+router.get('/sales/edit/:id', async (req, res) => {
+  try {
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const sale = await Sale.findById(req.params.id).lean();
+    
+    if (!sale) {
+      req.flash('error_msg', 'Sale not found');
+      return res.redirect('/admin/sales');
+    }
+    
+    res.render('admin/sale-form', {
+      title: `Edit ${sale.name}`,
+      user: req.session.user,
+      sale,
+      ...(await saleFormOptions()),
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading sale:', error);
+    req.flash('error_msg', 'Error loading sale');
+    res.redirect('/admin/sales');
+  }
+});
+
+// POST: Update sale
+router.post('/sales/update/:id', async (req, res) => {
+  const saleId = req.params.id;
+  
+  try {
+    console.log('🔄 POST /admin/sales/update/:id - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const sale = await Sale.findById(saleId);
+    if (!sale) {
+      req.flash('error_msg', 'Sale not found');
+      return res.redirect('/admin/sales');
+    }
+    
+    const { fields, errors } = readSaleForm(req.body);
+    
+    if (errors.length > 0) {
+      req.flash('error_msg', errors.join(', '));
+      return res.redirect(`/admin/sales/edit/${saleId}`);
+    }
+    
+    sale.set(fields);
+    await sale.save();
+    const result = await sales.refresh();
+    
+    console.log('✅ Sale updated:', sale.name);
+    req.flash('success_msg', `Sale "${sale.name}" updated successfully!` +
+      (result.started + result.ended > 0 ? ` Prices changed on ${result.started + result.ended} product(s).` : ''));
+    res.redirect('/admin/sales');
+    
+  } catch (error) {
+    console.error('❌ ERROR in sale update:', error);
+    req.flash('error_msg', `Error updating sale: ${error.message}`);
+    res.redirect(`/admin/sales/edit/${saleId}`);
+  }
+});
+
+// POST: Delete sale (products on it go back to their regular prices)
+router.post('/sales/delete/:id', async (req, res) => {
+  try {
+    console.log('🗑️ POST /admin/sales/delete/:id - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const sale = await Sale.findByIdAndDelete(req.params.id);
+    if (!sale) {
+      req.flash('error_msg', 'Sale not found');
+      return res.redirect('/admin/sales');
+    }
+    
+    await sales.refresh();
+    
+    console.log('✅ Sale deleted:', sale.name);
+    req.flash('success_msg', `Sale "${sale.name}" deleted successfully!`);
+    res.redirect('/admin/sales');
+    
+  } catch (error) {
+    console.error('❌ ERROR in sale deletion:', error);
+    req.flash('error_msg', `Error deleting sale: ${error.message}`);
+    res.redirect('/admin/sales');
+  }
+});
+
+// ==================== COUPONS ====================
+
+const COUPON_STATUSES = ['active', 'scheduled', 'expired', 'used up', 'paused'];
+
+// Read the coupon form; returns the fields to save and any validation errors
+function readCouponForm(body) {
+  const toList = value => (Array.isArray(value) ? value : (value ? [value] : []))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  const toNumber = value => (value === undefined || value === '' ? null : parseFloat(value));
+  
+  const code = coupons.normalizeCode(body.code);
+  const type = Coupon.TYPES.includes(body.type) ? body.type : 'percent';
+  const value = type === 'free_shipping' ? 0 : toNumber(body.value);
+  const maxDiscount = type === 'percent' ? toNumber(body.maxDiscount) : null;
+  const minSpend = toNumber(body.minSpend) || 0;
+  const usageLimit = toNumber(body.usageLimit);
+  const perUserLimit = toNumber(body.perUserLimit);
+  const startsAt = body.startsAt ? new Date(body.startsAt) : null;
+  const expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+  const errors = [];
+  
+  if (!/^[A-Z0-9_-]{3,30}$/.test(code)) errors.push('Code must be 3-30 letters, digits, dashes or underscores');
+  if (type !== 'free_shipping') {
+    if (value === null || isNaN(value) || value <= 0) errors.push('Discount must be more than zero');
+    else if (type === 'percent' && value > 100) errors.push('A percent discount can be at most 100');
+  }
+  if (maxDiscount !== null && (isNaN(maxDiscount) || maxDiscount <= 0)) errors.push('Maximum discount must be more than zero');
+  if (isNaN(minSpend) || minSpend < 0) errors.push('Minimum spend cannot be negative');
+  if (usageLimit !== null && !(Number.isInteger(usageLimit) && usageLimit >= 1)) errors.push('Total uses must be a whole number of at least 1');
+  if (perUserLimit !== null && !(Number.isInteger(perUserLimit) && perUserLimit >= 1)) errors.push('Uses per customer must be a whole number of at least 1');
+  if (startsAt && isNaN(startsAt)) errors.push('Start date is invalid');
+  if (expiresAt && isNaN(expiresAt)) errors.push('Expiry date is invalid');
+  else if (startsAt && expiresAt && expiresAt <= startsAt) errors.push('The coupon must expire after it starts');
+  
+  return {
+    errors,
+    fields: {
+      code,
+      description: (body.description || '').trim(),
+      type,
+      value,
+      maxDiscount: maxDiscount || undefined,
+      minSpend,
+      categories: toList(body.categories),
+      brands: toList(body.brands),
+      usageLimit: usageLimit || undefined,
+      perUserLimit: perUserLimit || null,   // null rather than undefined, or the default of 1 applies
+      startsAt: startsAt || undefined,
+      expiresAt: expiresAt || undefined,
+      isActive: body.isActive === 'on'
+    }
+  };
+}
+
+// Categories and brands a coupon can be limited to
+async function couponFormOptions() {
+  const [categories, brands] = await Promise.all([
+    Category.getFlatList(),
+    Brand.find({}, 'name').sort({ name: 1 }).lean()
+  ]);
+  
+  return { categories, brands: brands.map(brand => brand.name) };
+}
+
+// Coupon list with status tabs
+router.get('/coupons', async (req, res) => {
+  try {
+    console.log('📄 GET /admin/coupons - Rendering coupon list');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const now = new Date();
+    const status = COUPON_STATUSES.includes(req.query.status) ? req.query.status : 'all';
+    
+    const [couponList, discountTotals] = await Promise.all([
+      Coupon.find().sort({ createdAt: -1 }),
+      CouponRedemption.aggregate([
+        { $group: { _id: '$coupon', discount: { $sum: '$discount' } } }
+      ])
+    ]);
+    const discountByCoupon = new Map(discountTotals.map(row => [row._id.toString(), row.discount]));
+    
+    res.render('admin/coupons', {
+      title: 'Coupons',
+      user: req.session.user,
+      coupons: couponList
+        .map(coupon => ({
+          coupon,
+          status: coupon.getStatus(now),
+          discountGiven: discountByCoupon.get(coupon._id.toString()) || 0
+        }))
+        .filter(row => status === 'all' || row.status === status),
+      status,
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading coupons:', error);
+    req.flash('error_msg', 'Error loading coupons');
+    res.redirect('/admin/dashboard');
+  }
+});
+
+// GET: Show coupon creation form
+router.get('/coupons/create', async (req, res) => {
+  try {
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    res.render('admin/coupon-form', {
+      title: 'Create Coupon',
+      user: req.session.user,
+      coupon: null,
+      ...(await couponFormOptions()),
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading coupon form:', error);
+    req.flash('error_msg', 'Error loading coupon form');
+    res.redirect('/admin/coupons');
+  }
+});
+
+// POST: Create coupon
+router.post('/coupons/create', async (req, res) => {
+  try {
+    console.log('🚀 POST /admin/coupons/create - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const { fields, errors } = readCouponForm(req.body);
+    
+    if (errors.length === 0 && await Coupon.exists({ code: fields.code })) {
+      errors.push(`A coupon with code "${fields.code}" already exists`);
+    }
+    
+    if (errors.length > 0) {
+      req.flash('error_msg', errors.join(', '));
+      return res.redirect('/admin/coupons/create');
+    }
+    
+    const coupon = await Coupon.create({ ...fields, createdBy: req.session.user.id });
+    
+    console.log('✅ Coupon created:', coupon.code);
+    req.flash('success_msg', `Coupon "${coupon.code}" created successfully!`);
+    res.redirect('/admin/coupons');
+    
+  } catch (error) {
+    console.error('❌ ERROR in coupon creation:', error);
+    req.flash('error_msg', `Error creating coupon: ${error.message}`);
+    res.redirect('/admin/coupons/create');
+  }
+});
+
+// GET: Show coupon edit form
+router.get('/coupons/edit/:id', async (req, res) => {
+  try {
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const coupon = await Coupon.findById(req.params.id).lean();
+    
+    if (!coupon) {
+      req.flash('error_msg', 'Coupon not found');
+      return res.redirect('/admin/coupons');
+    }
+    
+    res.render('admin/coupon-form', {
+      title: `Edit ${coupon.code}`,
+      user: req.session.user,
+      coupon,
+      ...(await couponFormOptions()),
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading coupon:', error);
+    req.flash('error_msg', 'Error loading coupon');
+    res.redirect('/admin/coupons');
+  }
+});
+
+// POST: Update coupon
+router.post('/coupons/update/:id', async (req, res) => {
+  const couponId = req.params.id;
+  
+  try {
+    console.log('🔄 POST /admin/coupons/update/:id - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const coupon = await Coupon.findById(couponId);
+    if (!coupon) {
+      req.flash('error_msg', 'Coupon not found');
+      return res.redirect('/admin/coupons');
+    }
+    
+    const { fields, errors } = readCouponForm(req.body);
+    
+    if (errors.length === 0 && fields.code !== coupon.code &&
+        await Coupon.exists({ code: fields.code, _id: { $ne: coupon._id } })) {
+      errors.push(`A coupon with code "${fields.code}" already exists`);
+    }
+    
+    if (errors.length > 0) {
+      req.flash('error_msg', errors.join(', '));
+      return res.redirect(`/admin/coupons/edit/${couponId}`);
+    }
+    
+    coupon.set(fields);
+    await coupon.save();
+    
+    console.log('✅ Coupon updated:', coupon.code);
+    req.flash('success_msg', `Coupon "${coupon.code}" updated successfully!`);
+    res.redirect('/admin/coupons');
+    
+  } catch (error) {
+    console.error('❌ ERROR in coupon update:', error);
+    req.flash('error_msg', `Error updating coupon: ${error.message}`);
+    res.redirect(`/admin/coupons/edit/${couponId}`);
+  }
+});
+
+// POST: Delete coupon (carts holding it drop it; the redemption log is kept)
+router.post('/coupons/delete/:id', async (req, res) => {
+  try {
+    console.log('🗑️ POST /admin/coupons/delete/:id - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      req.flash('error_msg', 'Coupon not found');
+      return res.redirect('/admin/coupons');
+    }
+    
+    await Cart.updateMany({ coupon: coupon._id }, { $unset: { coupon: 1 } });
+    
+    console.log('✅ Coupon deleted:', coupon.code);
+    req.flash('success_msg', `Coupon "${coupon.code}" deleted successfully!`);
+    res.redirect('/admin/coupons');
+    
+  } catch (error) {
+    console.error('❌ ERROR in coupon deletion:', error);
+    req.flash('error_msg', `Error deleting coupon: ${error.message}`);
+    res.redirect('/admin/coupons');
+  }
+});
+
+// Redemptions of one coupon
+router.get('/coupons/:id/redemptions', async (req, res) => {
+  try {
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const coupon = await Coupon.findById(req.params.id);
+    
+    if (!coupon) {
+      req.flash('error_msg', 'Coupon not found');
+      return res.redirect('/admin/coupons');
+    }
+    
+    const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+      .populate('user', 'name email')
+      .populate('order', 'grandTotal orderStatus')
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+    
+    res.render('admin/coupon-redemptions', {
+      title: `Redemptions of ${coupon.code}`,
+      user: req.session.user,
+      coupon,
+      status: coupon.getStatus(),
+      redemptions,
+      discountGiven: redemptions.reduce((sum, redemption) => sum + redemption.discount, 0),
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading coupon redemptions:', error);
+    req.flash('error_msg', 'Error loading coupon redemptions');
+    res.redirect('/admin/coupons');
+  }
+});
+
+// ==================== INVENTORY ====================
+
+const INVENTORY_PAGE_SIZE = 20;
+const MOVEMENT_PAGE_SIZE = 50;
+
+// Products with at most this many pairs left show as low stock
+const LOW_STOCK_LEVEL = 10;
+
+// Total stock of a product (variant stock is rolled up into sizes[].quantity)
+const totalStockExpr = { $sum: '$sizes.quantity' };
+
+// Stock overview with search and low/out of stock tabs
+router.get('/inventory', async (req, res) => {
+  try {
+    console.log('📄 GET /admin/inventory - Rendering stock list');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const status = ['low', 'out'].includes(req.query.status) ? req.query.status : 'all';
+    const search = (req.query.search || '').trim();
+    const query = {};
+    
+    if (search) {
+      query.name = { $regex: escapeRegex(search), $options: 'i' };
+    }
+    if (status === 'low') {
+      query.$expr = { $and: [{ $gt: [totalStockExpr, 0] }, { $lte: [totalStockExpr, LOW_STOCK_LEVEL] }] };
+    } else if (status === 'out') {
+      query.$expr = { $eq: [totalStockExpr, 0] };
+    }
+    
+    const totalProducts = await Product.countDocuments(query);
+    const products = await Product.find(query, 'name brand sizes variants')
+      .sort({ name: 1 })
+      .skip((page - 1) * INVENTORY_PAGE_SIZE)
+      .limit(INVENTORY_PAGE_SIZE)
+      .lean();
+    
+    res.render('admin/inventory', {
+      title: 'Inventory',
+      user: req.session.user,
+      products: products.map(product => ({
+        product,
+        totalStock: (product.sizes || []).reduce((sum, size) => sum + (size.quantity || 0), 0),
+        sizesOut: (product.sizes || []).filter(size => !size.quantity).length
+      })),
+      lowStockLevel: LOW_STOCK_LEVEL,
+      status,
+      search,
+      currentPage: page,
+      totalPages: Math.ceil(totalProducts / INVENTORY_PAGE_SIZE),
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading inventory:', error);
+    req.flash('error_msg', 'Error loading inventory');
+    res.redirect('/admin/dashboard');
+  }
+});
+
+// GET: Stock adjustment screen for one product
+router.get('/inventory/:productId', async (req, res) => {
+  try {
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const product = mongoose.isValidObjectId(req.params.productId)
+      ? await Product.findById(req.params.productId, 'name brand sizeSystem gender sizes variants')
+      : null;
+    
+    if (!product) {
+      req.flash('error_msg', 'Product not found');
+      return res.redirect('/admin/inventory');
+    }
+    
+    const recentMovements = await InventoryMovement.find({ product: product._id })
+      .sort({ createdAt: -1 })
+      .limit(10);
+    
+    res.render('admin/inventory-adjust', {
+      title: `Adjust Stock: ${product.name}`,
+      user: req.session.user,
+      product,
+      rows: inventory.stockRows(product),
+      reasons: InventoryMovement.MANUAL_REASONS.map(reason => ({ value: reason, label: InventoryMovement.REASON_LABELS[reason] })),
+      recentMovements,
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading stock adjustment:', error);
+    req.flash('error_msg', 'Error loading stock adjustment');
+    res.redirect('/admin/inventory');
+  }
+});
+
+// POST: Adjust stock (every row changed is written to the inventory ledger)
+router.post('/inventory/:productId/adjust', async (req, res) => {
+  const productId = req.params.productId;
+  
+  try {
+    console.log('🚀 POST /admin/inventory/:productId/adjust - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const product = mongoose.isValidObjectId(productId)
+      ? await Product.findById(productId, 'name sizes variants')
+      : null;
+    
+    if (!product) {
+      req.flash('error_msg', 'Product not found');
+      return res.redirect('/admin/inventory');
+    }
+    
+    const { reason, note, rows, errors } = inventory.readAdjustment(req.body, inventory.stockLevels(product));
+    
+    if (errors.length > 0) {
+      req.flash('error_msg', errors.join(', '));
+      return res.redirect(`/admin/inventory/${productId}`);
+    }
+    
+    try {
+      await inventory.adjust(product, rows, {
+        reason,
+        actor: inventory.actor(req.session.user, 'admin'),
+        note: note || undefined
+      });
+    } catch (err) {
+      if (!(err instanceof ExpressError)) throw err;
+      req.flash('error_msg', `${err.message}. Nothing was changed.`);
+      return res.redirect(`/admin/inventory/${productId}`);
+    }
+    
+    const units = rows.reduce((sum, row) => sum + row.delta, 0);
+    console.log(`✅ Stock adjusted for ${product.name}: ${units > 0 ? '+' : ''}${units} (${reason})`);
+    
+    searchIndex.invalidate();
+    
+    // Back-in-stock alerts (the adjustment itself already succeeded)
+    if (rows.some(row => row.delta > 0)) {
+      try {
+        const alertsQueued = await stockAlerts.notifyRestocked(await Product.findById(productId), {
+          siteUrl: process.env.SITE_URL || `${req.protocol}://${req.get('host')}`
+        });
+        if (alertsQueued > 0) console.log(`🔔 Queued ${alertsQueued} back-in-stock notification(s)`);
+      } catch (alertError) {
+        console.error('❌ Back-in-stock alerts error:', alertError);
+      }
+    }
+    
+    req.flash('success_msg', `Stock updated for ${rows.length} size(s) of "${product.name}"`);
+    res.redirect(`/admin/inventory/${productId}`);
+    
+  } catch (error) {
+    console.error('❌ ERROR in stock adjustment:', error);
+    req.flash('error_msg', `Error adjusting stock: ${error.message}`);
+    res.redirect(`/admin/inventory/${productId}`);
+  }
+});
+
+// Stock history of one product, newest first
+router.get('/inventory/:productId/history', async (req, res) => {
+  try {
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const product = mongoose.isValidObjectId(req.params.productId)
+      ? await Product.findById(req.params.productId, 'name brand sizeSystem gender')
+      : null;
+    
+    if (!product) {
+      req.flash('error_msg', 'Product not found');
+      return res.redirect('/admin/inventory');
+    }
+    
+    const page = parseInt(req.query.page) || 1;
+    const reason = InventoryMovement.REASONS.includes(req.query.reason) ? req.query.reason : 'all';
+    const query = { product: product._id };
+    if (reason !== 'all') {
+      query.reason = reason;
+    }
+    
+    const [totalMovements, movements] = await Promise.all([
+      InventoryMovement.countDocuments(query),
+      InventoryMovement.find(query)
+        .populate('order', 'orderStatus')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * MOVEMENT_PAGE_SIZE)
+        .limit(MOVEMENT_PAGE_SIZE)
+    ]);
+    
+    res.render('admin/inventory-history', {
+      title: `Stock History: ${product.name}`,
+      user: req.session.user,
+      product,
+      movements,
+      reasons: InventoryMovement.REASONS.map(value => ({ value, label: InventoryMovement.REASON_LABELS[value] })),
+      reason,
+      currentPage: page,
+      totalPages: Math.ceil(totalMovements / MOVEMENT_PAGE_SIZE),
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+    
+  } catch (error) {
+    console.error('❌ Error loading stock history:', error);
+    req.flash('error_msg', 'Error loading stock history');
+    res.redirect('/admin/inventory');
+  }
+});
+
+// View Order Details
+router.get('/orders/:id', async (req, res) => {
+    if (!req.session.user || req.session.user.role !== 'admin') {
+        return res.redirect('/admin-login');
+    }
+    
+    try {
+        const Order = mongoose.model('Order');
+        const order = await Order.findById(req.params.id)
+            .populate('user', 'name email phone')
+            .lean();
+        
+        if (!order) {
+            req.session.error_msg = 'Order not found';
+            return res.redirect('/admin/orders');
+        }
+        
+        res.render('admin/order-details', {
+            title: 'Order Details',
+            user: req.session.user,
+            currentPage: 'orders',
+            order: order,
+            statusLabels: Order.STATUS_LABELS,
+            nextStatuses: orderStatus.nextStatuses(order.orderStatus),
+            success_msg: req.flash('success_msg'),
+            error_msg: req.flash('error_msg')
+        });
+        
+    } catch (error) {
+        console.error("Error loading order details:", error);
+        req.session.error_msg = 'Error loading order details';
+        res.redirect('/admin/orders');
+    }
+});
+
+// POST: Change order status (cancelling or returning puts the items back in stock)
+router.post('/orders/:id/status', async (req, res) => {
+  const orderId = req.params.id;
+  
+  try {
+    console.log('🚀 POST /admin/orders/:id/status - Processing...');
+    
+    if (!req.session.user || req.session.user.role !== 'admin') {
+      req.flash('error_msg', 'Please login as admin first');
+      return res.redirect('/admin-login');
+    }
+    
+    const order = mongoose.isValidObjectId(orderId) ? await Order.findById(orderId) : null;
+    if (!order) {
+      req.flash('error_msg', 'Order not found');
+      return res.redirect('/admin/orders');
+    }
+    
+    const status = (req.body.status || '').trim();
+    const note = (req.body.note || '').trim().slice(0, 500);
+    const trackingNumber = (req.body.trackingNumber || '').trim().slice(0, 100);
+    
+    if (!Order.STATUSES.includes(status)) {
+      req.flash('error_msg', 'Choose a status');
+      return res.redirect(`/admin/orders/${orderId}`);
+    }
+    if (status === 'shipped' && !trackingNumber && !order.trackingNumber) {
+      req.flash('error_msg', 'Enter the tracking number to mark the order shipped');
+      return res.redirect(`/admin/orders/${orderId}`);
+    }
+    
+    let updated;
+    try {
+      updated = await orderStatus.transition(order, status, {
+        actor: inventory.actor(req.session.user, 'admin'),
+        note,
+        trackingNumber
+      });
+    } catch (err) {
+      if (!(err instanceof ExpressError)) throw err;
+      req.flash('error_msg', err.message);
+      return res.redirect(`/admin/orders/${orderId}`);
+    }
+    
+    console.log(`✅ Order ${updated._id} is now ${updated.orderStatus}`);
+    req.flash('success_msg', `Order marked ${updated.getStatusLabel()}` +
+      (['cancelled', 'returned'].includes(status) && updated.stockTakenAt ? '. Its items are back in stock.' : ''));
+    res.redirect(`/admin/orders/${orderId}`);
+    
+  } catch (error) {
+    console.error('❌ ERROR in order status update:', error);
+    req.flash('error_msg', `Error updating order status: ${error.message}`);
+    res.redirect(`/admin/orders/${orderId}`);
+  }
 });
 
 // View User Details
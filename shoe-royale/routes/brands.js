@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+
+const Product = require('../models/Product');
+const Brand = require('../models/Brand');
+const productFilters = require('../utils/productFilters');
+const pagination = require('../utils/pagination');
+const { sendProductPage } = require('../utils/productListing');
+
+// All brands
+router.get('/', async (req, res) => {
+  try {
+    const [brands, productCounts] = await Promise.all([
+      Brand.find({ isActive: true }).sort({ name: 1 }).lean(),
+      Product.aggregate([{ $group: { _id: '$brand', count: { $sum: 1 } } }])
+    ]);
+    const countByName = new Map(productCounts.map(row => [row._id, row.count]));
+
+    res.render('brands/index', {
+      title: 'Brands | Royal Footwear',
+      brands: brands.map(brand => ({
+        ...brand,
+        productCount: countByName.get(brand.name) || 0
+      })),
+      user: req.user || null
+    });
+  } catch (error) {
+    console.error('Brands error:', error);
+    res.render('brands/index', {
+      title: 'Brands | Royal Footwear',
+      brands: [],
+      user: req.user || null
+    });
+  }
+});
+
+// Brand page (the listing, narrowed to one brand)
+router.get('/:slug', async (req, res) => {
+  const asJson = pagination.wantsJson(req);
+
+  try {
+    const brand = await Brand.findOne({ slug: req.params.slug.toLowerCase(), isActive: true }).lean();
+
+    if (!brand) {
+      if (asJson) {
+        return res.status(404).json({
+          success: false,
+          message: 'Brand not found'
+        });
+      }
+      req.flash('error_msg', 'Brand not found');
+      return res.redirect('/brands');
+    }
+
+    const query = { ...req.query, brand: brand.name };
+    const filter = productFilters.buildFilter(query);
+    const { items: products, pageInfo } = await pagination.paginateQuery(
+      Product, filter, { createdAt: -1 }, pagination.parsePagination(query), { withTotal: !asJson }
+    );
+
+    if (asJson) {
+      return sendProductPage(res, products, pageInfo);
+    }
+
+    const facets = await productFilters.getFacets(query);
+
+    res.render('products/index', {
+      title: `${brand.name} Shoes | Royal Footwear`,
+      products: products || [],
+      brand,
+      facets,
+      filters: query,
+      pagination: pageInfo,
+      totalProducts: pageInfo.total,
+      user: req.user || null
+    });
+  } catch (error) {
+    console.error('Brand products error:', error);
+    if (asJson) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching products'
+      });
+    }
+    req.flash('error_msg', 'Error loading brand');
+    res.redirect('/brands');
+  }
+});
+
+module.exports = router;
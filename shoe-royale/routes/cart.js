@@ -1,221 +1,165 @@
 const express = require('express');
 const router = express.Router();
 const { ensureAuthenticated } = require('../middleware/auth');
-const Cart = require('../models/Cart');
-const Product = require('../models/Product');
+const ExpressError = require('../utils/ExpressError');
+const cartService = require('../utils/cartService');
+
+// Mounted at /cart and, for older pages and scripts, at /products/cart. Every route
+// hands the work to utils/cartService.js and answers in one shape:
+// { success: true, message, cartCount, cartSummary } or { success: false, error }.
+
+// Plain form posts get a flash message and the cart page instead of JSON
+function isFormPost(req) {
+  return Boolean(req.is('application/x-www-form-urlencoded'));
+}
+
+async function sendCart(req, res, cart, message, extra = {}) {
+  if (isFormPost(req)) {
+    req.flash('success_msg', message);
+    return res.redirect('/cart');
+  }
+
+  res.json({
+    success: true,
+    message,
+    cartCount: cartService.itemCount(cart),
+    cartSummary: await cartService.summarize(cart),
+    ...extra
+  });
+}
+
+function sendCartError(req, res, err, fallback) {
+  const known = err instanceof ExpressError;
+  if (!known) {
+    console.error(`${fallback}:`, err);
+  }
+  const message = known ? err.message : fallback;
 
-// View cart
-router.get('/', ensureAuthenticated, async (req, res) => {
+  if (isFormPost(req)) {
+    req.flash('error_msg', message);
+    return res.redirect('/cart');
+  }
+  res.status(known ? err.status : 500).json({ success: false, error: message });
+}
+
+// View cart (guests see the cart kept in their session)
+const showCart = async (req, res) => {
   try {
-    let cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
-    
-    if (!cart) {
-      cart = new Cart({ user: req.user._id, items: [] });
-    }
+    const cart = await cartService.getCart(req);
+    await cart.populate('items.product', 'name brand category colors sizes slug');
 
     res.render('cart/index', {
-      title: 'Shopping Cart',
-      cart
+      title: 'Shopping Cart | Royal Footwear',
+      cart,
+      totals: await cartService.summarize(cart)
     });
   } catch (err) {
     console.error(err);
-    res.status(500).render('error', { 
+    res.status(500).render('error', {
       title: 'Error',
       message: 'Error loading cart'
     });
   }
-});
+};
+
+router.get('/', showCart);
+router.get('/view', showCart);
 
 // Add to cart
-router.post('/add', ensureAuthenticated, async (req, res) => {
+router.post('/add', async (req, res) => {
   try {
-    const { productId, size, color, quantity } = req.body;
-    
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
-    let cart = await Cart.findOne({ user: req.user._id });
-    
-    if (!cart) {
-      cart = new Cart({
-        user: req.user._id,
-        items: []
-      });
-    }
-
-    const existingItemIndex = cart.items.findIndex(
-      item => item.product.toString() === productId && 
-              item.size === parseInt(size) && 
-              item.color.name === color
-    );
-
-    if (existingItemIndex > -1) {
-      cart.items[existingItemIndex].quantity += parseInt(quantity);
-    } else {
-      const selectedColor = product.colors.find(c => c.name === color);
-      
-      cart.items.push({
-        product: productId,
-        quantity: parseInt(quantity),
-        size: parseInt(size),
-        color: {
-          name: color,
-          code: selectedColor?.code || '#000000'
-        },
-        price: product.discountPrice || product.price
-      });
-    }
-
-    // Calculate total
-    cart.totalAmount = cart.items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
-
-    cart.updatedAt = Date.now();
-    await cart.save();
-
-    req.flash('success_msg', 'Item added to cart');
-    res.redirect('/cart');
+    const { cart } = await cartService.addItem(req, req.body);
+    await sendCart(req, res, cart, 'Product added to cart successfully');
   } catch (err) {
-    console.error(err);
-    req.flash('error_msg', 'Error adding item to cart');
-    res.redirect('back');
+    sendCartError(req, res, err, 'Error adding to cart. Please try again.');
   }
 });
 
-// Update cart item
-router.put('/update/:itemId', ensureAuthenticated, async (req, res) => {
+// Check if item is already in cart
+router.post('/check-item', async (req, res) => {
   try {
-    const { quantity } = req.body;
-    const cart = await Cart.findOne({ user: req.user._id });
-    
-    const itemIndex = cart.items.findIndex(
-      item => item._id.toString() === req.params.itemId
-    );
-
-    if (itemIndex > -1) {
-      cart.items[itemIndex].quantity = parseInt(quantity);
-      
-      cart.totalAmount = cart.items.reduce((total, item) => {
-        return total + (item.price * item.quantity);
-      }, 0);
-
-      cart.updatedAt = Date.now();
-      await cart.save();
-
-      res.json({ 
-        success: true, 
-        totalAmount: cart.totalAmount 
-      });
-    } else {
-      res.status(404).json({ error: 'Item not found' });
-    }
+    const { productId, size, color } = req.body;
+    res.json({
+      success: true,
+      inCart: await cartService.hasItem(req, productId, size, color)
+    });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Error updating cart' });
+    console.error('Check cart item error:', err);
+    res.json({ success: false, inCart: false });
   }
 });
 
-// Remove from cart
-router.delete('/remove/:itemId', ensureAuthenticated, async (req, res) => {
+// Cart count (for the navbar badge)
+router.get('/count', async (req, res) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id });
-    
-    cart.items = cart.items.filter(
-      item => item._id.toString() !== req.params.itemId
-    );
-
-    cart.totalAmount = cart.items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
-
-    cart.updatedAt = Date.now();
-    await cart.save();
-
-    req.flash('success_msg', 'Item removed from cart');
-    res.redirect('/cart');
+    const cart = await cartService.findCart(req);
+    res.json({ success: true, count: cartService.itemCount(cart) });
   } catch (err) {
-    console.error(err);
-    req.flash('error_msg', 'Error removing item from cart');
-    res.redirect('/cart');
+    console.error('Cart count error:', err);
+    res.json({ success: true, count: 0 });
   }
 });
 
+// Update cart item quantity
+router.put('/update/:itemId', async (req, res) => {
+  try {
+    const { cart, item } = await cartService.updateQuantity(req, req.params.itemId, req.body.quantity);
+    await sendCart(req, res, cart, 'Cart updated', {
+      itemTotal: (item.price * item.quantity).toFixed(2)
+    });
+  } catch (err) {
+    sendCartError(req, res, err, 'Error updating cart');
+  }
+});
 
-
-
-// Add these routes to your existing cart.js file:
+// Remove from cart
+router.delete('/remove/:itemId', async (req, res) => {
+  try {
+    const { cart } = await cartService.removeItem(req, req.params.itemId);
+    await sendCart(req, res, cart, 'Item removed from cart');
+  } catch (err) {
+    sendCartError(req, res, err, 'Error removing item');
+  }
+});
 
 // Clear cart
-router.delete('/clear', ensureAuthenticated, async (req, res) => {
-    try {
-        await Cart.findOneAndUpdate(
-            { user: req.user._id },
-            { items: [], totalAmount: 0, updatedAt: Date.now() }
-        );
-        
-        res.json({ success: true });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ error: 'Error clearing cart' });
-    }
+router.delete('/clear', async (req, res) => {
+  try {
+    const cart = await cartService.clear(req);
+    await sendCart(req, res, cart, 'Cart cleared successfully');
+  } catch (err) {
+    sendCartError(req, res, err, 'Error clearing cart');
+  }
 });
 
 // Move item to wishlist
 router.post('/move-to-wishlist/:itemId', ensureAuthenticated, async (req, res) => {
-    try {
-        const cart = await Cart.findOne({ user: req.user._id });
-        
-        if (!cart) {
-            return res.status(404).json({ error: 'Cart not found' });
-        }
-        
-        // Find item to move
-        const itemIndex = cart.items.findIndex(
-            item => item._id.toString() === req.params.itemId
-        );
-        
-        if (itemIndex === -1) {
-            return res.status(404).json({ error: 'Item not found in cart' });
-        }
-        
-        // Remove item from cart
-        const [removedItem] = cart.items.splice(itemIndex, 1);
-        
-        // Recalculate total
-        cart.totalAmount = cart.items.reduce((total, item) => {
-            return total + (item.price * item.quantity);
-        }, 0);
-        
-        cart.updatedAt = Date.now();
-        await cart.save();
-        
-        // Here you would add the item to wishlist
-        // For now, we'll just return success
-        
-        res.json({ 
-            success: true, 
-            message: 'Item moved to wishlist',
-            totalAmount: cart.totalAmount
-        });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ error: 'Error moving item to wishlist' });
-    }
+  try {
+    const { cart } = await cartService.moveToWishlist(req, req.params.itemId);
+    await sendCart(req, res, cart, 'Item moved to wishlist');
+  } catch (err) {
+    sendCartError(req, res, err, 'Error moving item to wishlist');
+  }
+});
+
+// Apply promo code
+router.post('/coupon', ensureAuthenticated, async (req, res) => {
+  try {
+    const { cart, coupon } = await cartService.applyCoupon(req, req.body.code);
+    await sendCart(req, res, cart, `Promo code ${coupon.code} applied: ${coupon.getDiscountLabel()}`);
+  } catch (err) {
+    sendCartError(req, res, err, 'Error applying promo code');
+  }
 });
 
-// Cart count endpoint (already exists, just making sure)
-router.get('/count', ensureAuthenticated, async (req, res) => {
-    try {
-        const cart = await Cart.findOne({ user: req.user._id });
-        const count = cart ? cart.items.reduce((sum, item) => sum + item.quantity, 0) : 0;
-        res.json({ count });
-    } catch (err) {
-        console.error(err);
-        res.json({ count: 0 });
-    }
+// Remove promo code
+router.delete('/coupon', ensureAuthenticated, async (req, res) => {
+  try {
+    const cart = await cartService.removeCoupon(req);
+    await sendCart(req, res, cart, 'Promo code removed');
+  } catch (err) {
+    sendCartError(req, res, err, 'Error removing promo code');
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,357 @@
+const express = require('express');
+const router = express.Router();
+const { ensureAuthenticated } = require('../middleware/auth');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const cartService = require('../utils/cartService');
+const checkout = require('../utils/checkout');
+const coupons = require('../utils/coupons');
+const inventory = require('../utils/inventory');
+const orderStatus = require('../utils/orderStatus');
+const ExpressError = require('../utils/ExpressError');
+
+// Checkout: address → shipping → review → place order → confirmation.
+// Choices are kept in the session between steps (see utils/checkout.js).
+
+// The shopper's cart, or null after sending them back to it when it's empty
+async function loadCart(req, res) {
+  const cart = await cartService.findCart(req);
+
+  if (!cart || cart.items.length === 0) {
+    req.flash('error_msg', 'Your cart is empty');
+    res.redirect('/cart');
+    return null;
+  }
+  return cart;
+}
+
+// Reprice the cart and check stock against the current products (see cartService.revalidate),
+// saving it when anything changed so the cart page shows the same thing
+async function revalidateCart(req, cart) {
+  const changes = await cartService.revalidate(cart);
+  if (changes.length > 0) {
+    await cartService.saveCart(req, cart);
+  }
+  return changes;
+}
+
+// The step a shopper has to finish before `step`, or null when they can go on
+function missingStep(state, step) {
+  if (!checkout.isCompleteAddress(state.address)) {
+    return step === 'address' ? null : { url: '/checkout/address', message: 'Please enter a complete delivery address' };
+  }
+  if (step !== 'address' && step !== 'shipping' && !checkout.findShippingMethod(state.shippingMethod)) {
+    return { url: '/checkout/shipping', message: 'Please choose a shipping method' };
+  }
+  return null;
+}
+
+function guardStep(req, res, step) {
+  const missing = missingStep(checkout.getState(req), step);
+  if (missing) {
+    req.flash('error_msg', missing.message);
+    res.redirect(missing.url);
+    return false;
+  }
+  return true;
+}
+
+function renderAddress(req, res, address, errors = {}) {
+  const savedAddress = checkout.readAddress(req.user.address);
+
+  res.status(Object.keys(errors).length > 0 ? 422 : 200).render('checkout/address', {
+    title: 'Checkout - Delivery Address',
+    step: 'address',
+    address,
+    savedAddress: checkout.isCompleteAddress(savedAddress) ? savedAddress : null,
+    countries: checkout.COUNTRIES,
+    errors
+  });
+}
+
+router.get('/', ensureAuthenticated, (req, res) => {
+  res.redirect('/checkout/address');
+});
+
+// Step 1: delivery address
+router.get('/address', ensureAuthenticated, async (req, res) => {
+  try {
+    if (!await loadCart(req, res)) return;
+
+    const state = checkout.getState(req);
+    renderAddress(req, res, state.address || checkout.readAddress(req.user.address));
+  } catch (err) {
+    console.error('Checkout address error:', err);
+    req.flash('error_msg', 'Error loading checkout');
+    res.redirect('/cart');
+  }
+});
+
+router.post('/address', ensureAuthenticated, async (req, res) => {
+  try {
+    if (!await loadCart(req, res)) return;
+
+    const address = checkout.readAddress(req.body.addressChoice === 'saved' ? req.user.address : req.body);
+    const errors = checkout.addressErrors(address);
+
+    if (Object.keys(errors).length > 0) {
+      return renderAddress(req, res, address, errors);
+    }
+
+    if (req.body.saveAddress === 'on') {
+      const update = {};
+      checkout.ADDRESS_FIELDS.forEach(field => {
+        update[`address.${field}`] = address[field];
+      });
+      await User.findByIdAndUpdate(req.user._id, update);
+    }
+
+    checkout.saveState(req, { address });
+    res.redirect('/checkout/shipping');
+  } catch (err) {
+    console.error('Checkout address error:', err);
+    req.flash('error_msg', 'Error saving your address');
+    res.redirect('/checkout/address');
+  }
+});
+
+// Step 2: shipping method
+router.get('/shipping', ensureAuthenticated, async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+    if (!cart || !guardStep(req, res, 'shipping')) return;
+
+    const state = checkout.getState(req);
+    const totals = await cartService.summarize(cart);
+
+    res.render('checkout/shipping', {
+      title: 'Checkout - Shipping',
+      step: 'shipping',
+      address: state.address,
+      options: checkout.shippingOptions(totals),
+      selected: state.shippingMethod || checkout.SHIPPING_METHODS[0].code
+    });
+  } catch (err) {
+    console.error('Checkout shipping error:', err);
+    req.flash('error_msg', 'Error loading shipping options');
+    res.redirect('/cart');
+  }
+});
+
+router.post('/shipping', ensureAuthenticated, async (req, res) => {
+  if (!guardStep(req, res, 'shipping')) return;
+
+  const method = checkout.findShippingMethod(req.body.shippingMethod);
+  if (!method) {
+    req.flash('error_msg', 'Please choose a shipping method');
+    return res.redirect('/checkout/shipping');
+  }
+
+  checkout.saveState(req, { shippingMethod: method.code });
+  res.redirect('/checkout/review');
+});
+
+// Step 3: review and choose how to pay
+router.get('/review', ensureAuthenticated, async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+    if (!cart || !guardStep(req, res, 'review')) return;
+
+    const state = checkout.getState(req);
+    const method = checkout.findShippingMethod(state.shippingMethod);
+
+    // Changes found when an order was refused are shown along with any new ones
+    const changes = (state.changes || []).concat(await revalidateCart(req, cart));
+    if (state.changes) {
+      checkout.saveState(req, { changes: undefined });
+    }
+    if (cart.items.length === 0) {
+      req.flash('error_msg', 'The items in your cart are no longer available');
+      return res.redirect('/cart');
+    }
+
+    // Hold the stock while they decide, when STOCK_HOLD_MINUTES is set
+    let holdExpiresAt = null;
+    try {
+      holdExpiresAt = await inventory.reserve(req.user._id, cart.items, { actor: inventory.actor(req.user, 'customer') });
+    } catch (err) {
+      if (!(err instanceof ExpressError)) throw err;
+      req.flash('error_msg', err.message);
+      return res.redirect('/cart');
+    }
+
+    await cart.populate('items.product', 'name slug colors');
+    const totals = await cartService.summarize(cart);
+
+    res.render('checkout/review', {
+      title: 'Checkout - Review Order',
+      step: 'review',
+      cart,
+      changes,
+      holdExpiresAt,
+      unitPrice: cartService.unitPrice,
+      totals,
+      address: state.address,
+      shippingMethod: method,
+      amounts: checkout.orderTotals(totals, method),
+      paymentMethods: checkout.PAYMENT_METHODS,
+      paymentMethod: state.paymentMethod || checkout.PAYMENT_METHODS[0].code
+    });
+  } catch (err) {
+    console.error('Checkout review error:', err);
+    req.flash('error_msg', 'Error loading your order');
+    res.redirect('/cart');
+  }
+});
+
+// Current prices and stock for the cart, as a list of changed lines
+router.get('/validate', ensureAuthenticated, async (req, res) => {
+  try {
+    const cart = await cartService.findCart(req);
+    const changes = cart ? await revalidateCart(req, cart) : [];
+
+    res.json({
+      success: true,
+      valid: changes.length === 0,
+      changes,
+      cartCount: cartService.itemCount(cart),
+      cartSummary: cart ? await cartService.summarize(cart) : null
+    });
+  } catch (err) {
+    console.error('Checkout validate error:', err);
+    res.status(500).json({ success: false, error: 'Error checking your cart' });
+  }
+});
+
+// Place the order
+router.post('/place', ensureAuthenticated, async (req, res) => {
+  try {
+    const cart = await loadCart(req, res);
+    if (!cart || !guardStep(req, res, 'review')) return;
+
+    const state = checkout.getState(req);
+    const paymentMethod = checkout.findPaymentMethod(req.body.paymentMethod);
+    if (!paymentMethod) {
+      req.flash('error_msg', 'Please choose how you would like to pay');
+      return res.redirect('/checkout/review');
+    }
+    checkout.saveState(req, { paymentMethod: paymentMethod.code });
+
+    // Never place an order at prices or quantities the shopper hasn't seen
+    const changes = await revalidateCart(req, cart);
+    if (changes.length > 0) {
+      checkout.saveState(req, { changes });
+      req.flash('error_msg', 'Some items in your cart have changed. Please check your order before placing it.');
+      return res.redirect('/checkout/review');
+    }
+
+    await cart.populate('items.product');
+    const orderItems = cart.items.map(item => ({
+      product: item.product._id,
+      name: item.product.name,
+      quantity: item.quantity,
+      size: item.size,
+      sizeSystem: item.sizeSystem || item.product.sizeSystem,
+      gender: item.gender || item.product.gender,
+      sku: item.sku,
+      color: item.color.name,
+      price: cartService.unitPrice(item),
+      image: item.product.colors[0]?.images[0]?.url || '/images/default-shoe.jpg'
+    }));
+
+    // Check the promo code again: the cart or the coupon may have changed since it was applied
+    await coupons.loadCoupon(cart);
+    let couponResult = null;
+    if (cart.coupon) {
+      couponResult = await coupons.check(cart.coupon, req.user._id, cart.items);
+      if (couponResult.error) {
+        req.flash('error_msg', `Promo code ${cart.coupon.code} can't be used: ${couponResult.error}`);
+        return res.redirect('/cart');
+      }
+    }
+
+    const totals = cart.calculateTotals();
+    const method = checkout.findShippingMethod(state.shippingMethod);
+    const actor = inventory.actor(req.user, 'customer');
+
+    const order = new Order({
+      user: req.user._id,
+      items: orderItems,
+      shippingAddress: state.address,
+      shippingMethod: { code: method.code, label: method.label, eta: method.eta },
+      paymentMethod: paymentMethod.code,
+      coupon: cart.coupon
+        ? { coupon: cart.coupon._id, code: cart.coupon.code, freeShipping: totals.freeShipping }
+        : undefined,
+      ...checkout.orderTotals(totals, method),
+      notes: String(req.body.notes || '').trim().slice(0, 500) || undefined,
+      statusHistory: [orderStatus.placedEntry(actor)]
+    });
+
+    // Take the stock and claim the coupon use before saving, so another shopper can't get
+    // the last pair or the last use of the code at the same time
+    try {
+      await inventory.commit(req.user._id, cart.items, { order: order._id, actor });
+    } catch (err) {
+      if (!(err instanceof ExpressError)) throw err;
+      req.flash('error_msg', `${err.message}. Please check your order.`);
+      return res.redirect('/checkout/review');
+    }
+    order.stockTakenAt = new Date();
+
+    const notPlaced = { reason: 'cancellation', order: order._id, note: 'Order could not be placed' };
+    let redemption = null;
+    if (cart.coupon) {
+      try {
+        redemption = await coupons.redeem(cart.coupon, req.user._id, order._id, couponResult);
+      } catch (err) {
+        await inventory.restore(cart.items, notPlaced);
+        if (!(err instanceof ExpressError)) throw err;
+        req.flash('error_msg', `Promo code ${cart.coupon.code} can't be used: ${err.message}`);
+        return res.redirect('/cart');
+      }
+    }
+
+    try {
+      await order.save();
+    } catch (err) {
+      await inventory.restore(cart.items, notPlaced);
+      if (redemption) await coupons.release(redemption);
+      throw err;
+    }
+
+    // Clear cart after order
+    cart.items = [];
+    cart.coupon = undefined;
+    await cart.save();
+    checkout.clearState(req);
+
+    res.redirect(`/checkout/confirmation/${order._id}`);
+  } catch (err) {
+    console.error('Place order error:', err);
+    req.flash('error_msg', 'Error placing your order');
+    res.redirect('/checkout/review');
+  }
+});
+
+// Step 4: confirmation
+router.get('/confirmation/:id', ensureAuthenticated, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.user.toString() !== req.user._id.toString()) {
+      return res.status(404).render('404', { title: 'Order Not Found' });
+    }
+
+    res.render('checkout/confirmation', {
+      title: 'Order Confirmed',
+      step: 'confirmation',
+      order
+    });
+  } catch (err) {
+    console.error('Checkout confirmation error:', err);
+    res.redirect('/orders');
+  }
+});
+
+module.exports = router;
@@ -2,60 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { ensureAuthenticated } = require('../middleware/auth');
 const Order = require('../models/Order');
-const Cart = require('../models/Cart');
+const inventory = require('../utils/inventory');
+const orderStatus = require('../utils/orderStatus');
+const ExpressError = require('../utils/ExpressError');
 
-// Create order
-router.post('/create', ensureAuthenticated, async (req, res) => {
-  try {
-    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
-    
-    if (!cart || cart.items.length === 0) {
-      req.flash('error_msg', 'Your cart is empty');
-      return res.redirect('/cart');
-    }
-
-    const orderItems = cart.items.map(item => ({
-      product: item.product._id,
-      name: item.product.name,
-      quantity: item.quantity,
-      size: item.size,
-      color: item.color.name,
-      price: item.price,
-      image: item.product.colors[0]?.images[0] || '/images/default-shoe.jpg'
-    }));
-
-    const totalAmount = cart.totalAmount;
-    const taxAmount = totalAmount * 0.1; // 10% tax
-    const shippingAmount = totalAmount > 100 ? 0 : 10; // Free shipping over $100
-    const grandTotal = totalAmount + taxAmount + shippingAmount;
-
-    const order = new Order({
-      user: req.user._id,
-      items: orderItems,
-      shippingAddress: req.user.address,
-      paymentMethod: req.body.paymentMethod,
-      totalAmount,
-      taxAmount,
-      shippingAmount,
-      grandTotal,
-      notes: req.body.notes
-    });
-
-    await order.save();
-    
-    // Clear cart after order
-    cart.items = [];
-    cart.totalAmount = 0;
-    cart.updatedAt = Date.now();
-    await cart.save();
-
-    req.flash('success_msg', 'Order placed successfully!');
-    res.redirect(`/orders/${order._id}`);
-  } catch (err) {
-    console.error(err);
-    req.flash('error_msg', 'Error creating order');
-    res.redirect('/cart');
-  }
+// Create order: orders are placed from the checkout review step now; older forms that
+// post here go through the same checks (307 keeps the POST and its body)
+router.post('/create', ensureAuthenticated, (req, res) => {
+  res.redirect(307, '/checkout/place');
 });
 
 // View order
@@ -75,7 +29,9 @@ router.get('/:id', ensureAuthenticated, async (req, res) => {
 
     res.render('orders/show', {
       title: 'Order Details',
-      order
+      order,
+      timeline: orderStatus.timeline(order),
+      canCancel: orderStatus.canCustomerCancel(order)
     });
   } catch (err) {
     console.error(err);
@@ -86,6 +42,36 @@ router.get('/:id', ensureAuthenticated, async (req, res) => {
   }
 });
 
+// Cancel an order that hasn't shipped yet; its items go back in stock
+router.post('/:id/cancel', ensureAuthenticated, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!order || !orderStatus.canCustomerCancel(order)) {
+      req.flash('error_msg', 'This order can no longer be cancelled');
+      return res.redirect(`/orders/${req.params.id}`);
+    }
+
+    try {
+      await orderStatus.transition(order, 'cancelled', {
+        actor: inventory.actor(req.user, 'customer'),
+        note: 'Cancelled by customer'
+      });
+    } catch (err) {
+      if (!(err instanceof ExpressError)) throw err;
+      req.flash('error_msg', 'This order can no longer be cancelled');
+      return res.redirect(`/orders/${order._id}`);
+    }
+
+    req.flash('success_msg', 'Your order has been cancelled');
+    res.redirect(`/orders/${order._id}`);
+  } catch (err) {
+    console.error(err);
+    req.flash('error_msg', 'Error cancelling order');
+    res.redirect('/orders');
+  }
+});
+
 // User orders
 router.get('/', ensureAuthenticated, async (req, res) => {
   try {
@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Product = require('../models/Product');
+const Brand = require('../models/Brand');
+const Review = require('../models/Review');
+const Question = require('../models/Question');
+const sizeSystems = require('../utils/sizeSystems');
+const reviewFilters = require('../utils/reviewFilters');
+const pagination = require('../utils/pagination');
+const recommendations = require('../utils/recommendations');
+const recentlyViewed = require('../utils/recentlyViewed');
+
+// Product detail page by slug. Old slugs (and /products/:id) redirect here permanently;
+// products without a slug yet are shown by id.
+router.get('/:slug', async (req, res) => {
+  try {
+    const product = await Product.findBySlug(req.params.slug)
+      || (mongoose.isValidObjectId(req.params.slug) ? await Product.findById(req.params.slug) : null);
+    
+    if (!product) {
+      return res.status(404).render('404', { 
+        title: 'Product Not Found',
+        user: req.user || null
+      });
+    }
+
+    if (product.slug && product.slug !== req.params.slug) {
+      return res.redirect(301, Product.urlFor(product));
+    }
+
+    // A failed write shouldn't stop the page from loading
+    await recentlyViewed.record(req, product._id)
+      .catch(error => console.error('Recently viewed error:', error));
+
+    // Calculate total stock
+    const totalStock = product.sizes.reduce((sum, size) => sum + size.quantity, 0);
+
+    // This product's sizes in every size system
+    const sizeChart = product.sizes.map(size => Object.fromEntries(
+      sizeSystems.SIZE_SYSTEMS.map(system => [
+        system,
+        sizeSystems.convertSize(size.size, product.sizeSystem, system, product.gender)
+      ])
+    ));
+
+    // Customers also bought (from order history, refreshed on a schedule)
+    const { products: alsoBought } = await recommendations.getRecommendations(product._id, { limit: 4 });
+
+    // Get related products (same category, different brand, not already recommended above)
+    const relatedProducts = await Product.find({
+      category: product.category,
+      _id: { $nin: [product._id, ...alsoBought.map(item => item._id)] },
+      brand: { $ne: product.brand }
+    }).limit(4);
+
+    // Get similar products (same brand)
+    const similarProducts = await Product.find({
+      brand: product.brand,
+      _id: { $ne: product._id }
+    }).limit(4);
+
+    const brand = await Brand.findByName(product.brand).lean();
+
+    // Approved reviews, sorted and filtered from ?sort=, ?rating=, ?fit= and ?photos=
+    const reviewSelection = reviewFilters.parseReviewQuery(req.query, Review.FIT_OPTIONS);
+    const [reviewPage, reviewSummary, ownReview, verifiedPurchase] = await Promise.all([
+      pagination.paginateQuery(
+        Review,
+        reviewFilters.buildReviewFilter(product._id, reviewSelection),
+        reviewFilters.sortFor(reviewSelection),
+        pagination.parsePagination(req.query, reviewFilters.REVIEWS_PER_PAGE)
+      ),
+      Review.getSummary(product._id),
+      req.user ? Review.findOne({ product: product._id, user: req.user._id }).lean() : null,
+      req.user ? Review.findVerifiedPurchase(req.user._id, product._id) : null
+    ]);
+    await Review.populate(reviewPage.items, { path: 'user', select: 'name' });
+
+    // First page of questions; the tab loads the rest from /products/:id/questions
+    const questionPage = await pagination.paginateQuery(
+      Question, { product: product._id }, { createdAt: -1 }, pagination.parsePagination({}, Question.PAGE_SIZE)
+    );
+    await Question.populate(questionPage.items, { path: 'user', select: 'name' });
+
+    // Absolute URL of the page search engines should index
+    const siteUrl = process.env.SITE_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.render('products/show', {
+      title: `${product.name} | Royal Footwear`,
+      product,
+      totalStock,
+      sizeChart,
+      brand,
+      reviews: reviewPage.items,
+      reviewPagination: reviewPage.pageInfo,
+      reviewSummary,
+      reviewSelection,
+      reviewSorts: reviewFilters.REVIEW_SORTS,
+      fitLabels: Review.FIT_LABELS,
+      ownReview,
+      canReview: Boolean(verifiedPurchase) && !ownReview,
+      questions: questionPage.items.map(question => question.toPublicJSON(req.user ? req.user._id : null)),
+      questionPagination: questionPage.pageInfo,
+      canonicalUrl: siteUrl.replace(/\/+$/, '') + Product.urlFor(product),
+      alsoBought,
+      relatedProducts: relatedProducts || [],
+      similarProducts: similarProducts || [],
+      user: req.user || null,
+      success_msg: req.flash('success_msg'),
+      error_msg: req.flash('error_msg')
+    });
+  } catch (err) {
+    console.error('Error loading product:', err);
+    res.status(500).render('error', { 
+      title: 'Error',
+      message: 'Error loading product',
+      user: req.user || null
+    });
+  }
+});
+
+module.exports = router;
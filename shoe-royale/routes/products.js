@@ -3,42 +3,61 @@ const router = express.Router();
 const { ensureAuthenticated, ensureAdmin } = require('../middleware/auth');
 
 const Product = require('../models/Product');
-const Cart = require('../models/Cart');
 const Wishlist = require('../models/Wishlist');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
 const mongoose = require('mongoose');
+const searchIndex = require('../utils/searchIndex');
+const productFilters = require('../utils/productFilters');
+const pagination = require('../utils/pagination');
+const { sendProductPage, productCardData } = require('../utils/productListing');
+const Review = require('../models/Review');
+const reviewFilters = require('../utils/reviewFilters');
+const Question = require('../models/Question');
+const recommendations = require('../utils/recommendations');
+const recentlyViewed = require('../utils/recentlyViewed');
+const compare = require('../utils/compare');
+const stockAlerts = require('../utils/stockAlerts');
+const upload = require('../middleware/uploadCloudinary');
+const cloudinary = require('../config/cloudinary');
+
+// Load one page of products in search-index order. Relevance lives in the index rather
+// than in MongoDB, so the matching ids are ranked in memory and only the page is loaded.
+async function findRankedPage(filter, searchRanking, pageRequest) {
+  const matching = await Product.find(filter).select('_id').lean();
+  const rankedIds = matching
+    .map(product => product._id.toString())
+    .sort((a, b) => searchRanking.get(a) - searchRanking.get(b));
+
+  const { items: pageIds, pageInfo } = pagination.paginateArray(rankedIds, pageRequest);
+  const found = await Product.find({ _id: { $in: pageIds } });
+  const byId = new Map(found.map(product => [product._id.toString(), product]));
+
+  return {
+    items: pageIds.map(id => byId.get(id)).filter(Boolean),
+    pageInfo
+  };
+}
 
 // Get all products
 router.get('/', async (req, res) => {
-  try {
-    const { category, brand, minPrice, maxPrice, sort, search } = req.query;
-    let filter = {};
-
-    // Search functionality
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { brand: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    if (category) filter.category = category;
-    if (brand) filter.brand = brand;
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
-    }
+  const asJson = pagination.wantsJson(req);
 
-    // Calculate discount filter
-    if (req.query.discount === 'true') {
-      filter.discountPrice = { $exists: true, $gt: 0 };
+  try {
+    const { sort, search } = req.query;
+    let searchIds = null;
+    let searchRanking = null;
+
+    // Search functionality (relevance-ranked via the search index)
+    if (search && search.trim()) {
+      const matches = await searchIndex.search(search);
+      searchIds = matches.map(match => match.id);
+      searchRanking = new Map(matches.map((match, position) => [match.id, position]));
     }
 
-    // Featured filter
-    if (req.query.featured === 'true') {
-      filter.featured = true;
-    }
+    // Category, brand, size, color, price, discount and stock filters (multi-select)
+    const filter = productFilters.buildFilter(req.query, { searchIds });
+    const pageRequest = pagination.parsePagination(req.query);
 
     let sortOption = {};
     switch (sort) {
@@ -67,421 +86,56 @@ router.get('/', async (req, res) => {
         sortOption = { createdAt: -1 };
     }
 
-    const products = await Product.find(filter).sort(sortOption);
-    const categories = await Product.distinct('category');
-    const brands = await Product.distinct('brand');
+    // Without an explicit sort, search results come back most relevant first.
+    // Infinite-scroll requests only need to know whether another page exists, so they skip the count.
+    const { items: products, pageInfo } = searchRanking && (!sort || sort === 'relevance')
+      ? await findRankedPage(filter, searchRanking, pageRequest)
+      : await pagination.paginateQuery(Product, filter, sortOption, pageRequest, { withTotal: !asJson });
+
+    if (asJson) {
+      return sendProductPage(res, products, pageInfo);
+    }
 
-    // Calculate total products count
-    const totalProducts = await Product.countDocuments(filter);
+    const [categories, brands, facets] = await Promise.all([
+      Product.distinct('category'),
+      Product.distinct('brand'),
+      productFilters.getFacets(req.query, { searchIds })
+    ]);
 
     res.render('products/index', {
       title: 'Products | Royal Footwear',
       products: products || [],
       categories: categories || [],
       brands: brands || [],
+      facets,
       filters: req.query || {},
-      totalProducts,
+      pagination: pageInfo,
+      totalProducts: pageInfo.total,
       user: req.user || null
     });
   } catch (err) {
     console.error('Error fetching products:', err);
+    if (asJson) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching products'
+      });
+    }
     res.render('products/index', {
       title: 'Products | Royal Footwear',
       products: [],
       categories: [],
       brands: [],
+      facets: null,
       filters: {},
+      pagination: null,
       totalProducts: 0,
       user: req.user || null
     });
   }
 });
 
-// Get single product
-router.get('/:id', async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id);
-    
-    if (!product) {
-      return res.status(404).render('404', { 
-        title: 'Product Not Found',
-        user: req.user || null
-      });
-    }
-
-    // Calculate total stock
-    const totalStock = product.sizes.reduce((sum, size) => sum + size.quantity, 0);
-
-    // Get related products (same category, different brand)
-    const relatedProducts = await Product.find({
-      category: product.category,
-      _id: { $ne: product._id },
-      brand: { $ne: product.brand }
-    }).limit(4);
-
-    // Get similar products (same brand)
-    const similarProducts = await Product.find({
-      brand: product.brand,
-      _id: { $ne: product._id }
-    }).limit(4);
-
-    res.render('products/show', {
-      title: `${product.name} | Royal Footwear`,
-      product,
-      totalStock,
-      relatedProducts: relatedProducts || [],
-      similarProducts: similarProducts || [],
-      user: req.user || null,
-      success_msg: req.flash('success_msg'),
-      error_msg: req.flash('error_msg')
-    });
-  } catch (err) {
-    console.error('Error loading product:', err);
-    res.status(500).render('error', { 
-      title: 'Error',
-      message: 'Error loading product',
-      user: req.user || null
-    });
-  }
-});
-
-// ============ CART ROUTES ============
-
-// Add to Cart (Main Route - Called from Product Detail Page)
-// Add to Cart Route - SIMPLE WORKING VERSION
-// Add to Cart Route - with duplicate check
-router.post('/cart/add', ensureAuthenticated, async (req, res) => {
-  try {
-    const { productId, size, color, quantity } = req.body;
-    
-    // Validation
-    if (!productId || !size || !color) {
-      return res.json({
-        success: false,
-        error: 'Please select size and color'
-      });
-    }
-
-    const product = await Product.findById(productId);
-    
-    if (!product) {
-      return res.json({
-        success: false,
-        error: 'Product not found'
-      });
-    }
-
-    // Find color object
-    const selectedColor = product.colors.find(c => c.name === color);
-    if (!selectedColor) {
-      return res.json({
-        success: false,
-        error: 'Selected color not available'
-      });
-    }
-
-    // Check if selected size is available
-    const selectedSize = product.sizes.find(s => s.size == size);
-    if (!selectedSize || selectedSize.quantity <= 0) {
-      return res.json({
-        success: false,
-        error: 'Selected size is out of stock'
-      });
-    }
-
-    // First check if product already in cart with same size and color
-    let cart = await Cart.findOne({ user: req.user._id });
-    
-    if (cart) {
-      // Check if item already exists
-      const existingItem = cart.items.find(item =>
-        item.product.toString() === productId &&
-        item.size === parseInt(size) &&
-        item.color?.name === color
-      );
-      
-      if (existingItem) {
-        return res.json({
-          success: false,
-          error: 'This item is already in your cart'
-        });
-      }
-    }
-
-    // Prepare item data
-    const itemData = {
-      productId: product._id,
-      name: product.name,
-      price: product.discountPrice || product.price,
-      discountPrice: product.discountPrice,
-      quantity: parseInt(quantity) || 1,
-      size: parseInt(size),
-      color: color,
-      colorCode: selectedColor.code || '#000000',
-      brand: product.brand,
-      category: product.category
-    };
-
-    // Add image if available
-    if (selectedColor.images && selectedColor.images.length > 0) {
-      const firstImage = selectedColor.images[0];
-      itemData.image = {
-        url: firstImage.url || '/images/default-shoe.jpg',
-        secure_url: firstImage.secure_url || firstImage.url || '/images/default-shoe.jpg'
-      };
-    }
-
-    // Add to cart using Cart model method
-    if (!cart) {
-      cart = await Cart.addToCart(req.user._id, itemData);
-    } else {
-      // Use existing cart
-      cart = await Cart.addToCart(req.user._id, itemData);
-    }
-
-    // Calculate totals
-    const summary = cart.calculateTotals();
-    
-    res.json({
-      success: true,
-      message: 'Product added to cart successfully',
-      cartCount: summary.itemCount,
-      cartSummary: summary
-    });
-    
-  } catch (error) {
-    console.error('Add to cart error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error adding to cart. Please try again.'
-    });
-  }
-});
-
-// Check if item is already in cart
-router.post('/cart/check-item', ensureAuthenticated, async (req, res) => {
-  try {
-    const { productId, size, color } = req.body;
-    
-    const cart = await Cart.findOne({ user: req.user._id });
-    
-    let inCart = false;
-    if (cart && cart.items) {
-      inCart = cart.items.some(item =>
-        item.product.toString() === productId &&
-        item.size === size &&
-        item.color?.name === color
-      );
-    }
-    
-    res.json({
-      success: true,
-      inCart: inCart
-    });
-    
-  } catch (error) {
-    console.error('Check cart item error:', error);
-    res.json({
-      success: false,
-      inCart: false
-    });
-  }
-});
-
-// View Cart Page
-router.get('/cart/view', ensureAuthenticated, async (req, res) => {
-  try {
-    const cart = await Cart.findOne({ user: req.user._id })
-      .populate('items.product', 'name brand category colors sizes');
-    
-    let subtotal = 0;
-    if (cart && cart.items.length > 0) {
-      subtotal = cart.items.reduce((total, item) => {
-        return total + (item.price * item.quantity);
-      }, 0);
-    }
-
-    res.render('cart/index', {
-      title: 'Shopping Cart | Royal Footwear',
-      cart: cart || { items: [] },
-      subtotal: subtotal.toFixed(2),
-      user: req.user
-    });
-    
-  } catch (error) {
-    console.error('Cart view error:', error);
-    res.render('cart/index', {
-      title: 'Shopping Cart | Royal Footwear',
-      cart: { items: [] },
-      subtotal: '0.00',
-      user: req.user
-    });
-  }
-});
-
-// Get Cart Count (for Navbar)
-router.get('/cart/count', async (req, res) => {
-  try {
-    let count = 0;
-    if (req.user) {
-      const cart = await Cart.findOne({ user: req.user._id });
-      count = cart ? cart.items.reduce((sum, item) => sum + item.quantity, 0) : 0;
-    }
-    
-    res.json({ 
-      success: true, 
-      count 
-    });
-    
-  } catch (err) {
-    console.error('Cart count error:', err);
-    res.json({ 
-      success: true, 
-      count: 0 
-    });
-  }
-});
-
-// Update Cart Item Quantity
-router.put('/cart/update/:itemId', ensureAuthenticated, async (req, res) => {
-  try {
-    const { quantity } = req.body;
-    const newQuantity = parseInt(quantity);
-    
-    if (!newQuantity || newQuantity < 1) {
-      return res.json({ 
-        success: false, 
-        error: 'Invalid quantity' 
-      });
-    }
-
-    const cart = await Cart.findOne({ user: req.user._id });
-    
-    if (!cart) {
-      return res.json({ 
-        success: false, 
-        error: 'Cart not found' 
-      });
-    }
-    
-    const itemIndex = cart.items.findIndex(
-      item => item._id.toString() === req.params.itemId
-    );
-    
-    if (itemIndex === -1) {
-      return res.json({ 
-        success: false, 
-        error: 'Item not found in cart' 
-      });
-    }
-    
-    // Update quantity
-    cart.items[itemIndex].quantity = newQuantity;
-    await cart.save();
-    
-    // Calculate new totals
-    const subtotal = cart.items.reduce((sum, item) => {
-      return sum + (item.price * item.quantity);
-    }, 0);
-    
-    const cartCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-    
-    res.json({
-      success: true,
-      subtotal: subtotal.toFixed(2),
-      itemTotal: (cart.items[itemIndex].price * newQuantity).toFixed(2),
-      cartCount: cartCount
-    });
-    
-  } catch (error) {
-    console.error('Update cart error:', error);
-    res.json({ 
-      success: false, 
-      error: 'Error updating cart' 
-    });
-  }
-});
-
-// Remove Item from Cart
-router.delete('/cart/remove/:itemId', ensureAuthenticated, async (req, res) => {
-  try {
-    const cart = await Cart.findOne({ user: req.user._id });
-    
-    if (!cart) {
-      return res.json({ 
-        success: false, 
-        error: 'Cart not found' 
-      });
-    }
-    
-    const initialLength = cart.items.length;
-    
-    cart.items = cart.items.filter(
-      item => item._id.toString() !== req.params.itemId
-    );
-    
-    if (cart.items.length === initialLength) {
-      return res.json({ 
-        success: false, 
-        error: 'Item not found in cart' 
-      });
-    }
-    
-    await cart.save();
-    
-    // Calculate new totals
-    const subtotal = cart.items.reduce((sum, item) => {
-      return sum + (item.price * item.quantity);
-    }, 0);
-    
-    const cartCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-    
-    res.json({
-      success: true,
-      message: 'Item removed from cart',
-      subtotal: subtotal.toFixed(2),
-      cartCount: cartCount
-    });
-    
-  } catch (error) {
-    console.error('Remove cart error:', error);
-    res.json({ 
-      success: false, 
-      error: 'Error removing item' 
-    });
-  }
-});
-
-// Clear Cart
-router.delete('/cart/clear', ensureAuthenticated, async (req, res) => {
-  try {
-    const cart = await Cart.findOne({ user: req.user._id });
-    
-    if (!cart) {
-      return res.json({ 
-        success: false, 
-        error: 'Cart not found' 
-      });
-    }
-    
-    cart.items = [];
-    await cart.save();
-    
-    res.json({
-      success: true,
-      message: 'Cart cleared successfully',
-      cartCount: 0,
-      subtotal: '0.00'
-    });
-    
-  } catch (error) {
-    console.error('Clear cart error:', error);
-    res.json({ 
-      success: false, 
-      error: 'Error clearing cart' 
-    });
-  }
-});
+// The /products/cart/* URLs are served by routes/cart.js (see app.js)
 
 // ============ WISHLIST ROUTES ============
 // Add to Wishlist - COMPLETE DATA VERSION
@@ -719,6 +373,96 @@ router.delete('/wishlist/clear', ensureAuthenticated, async (req, res) => {
     });
   }
 });
+// ============ COMPARE ROUTES ============
+
+// Answer a compare action as JSON (fetch) or by going back to the compare page (forms)
+function sendCompareResult(req, res, success, message) {
+  if (pagination.wantsJson(req)) {
+    return res.status(success ? 200 : 400).json({
+      success,
+      message,
+      ids: compare.getIds(req),
+      count: compare.getIds(req).length,
+      max: compare.MAX_COMPARE
+    });
+  }
+
+  req.flash(success ? 'success_msg' : 'error_msg', message);
+  res.redirect('/products/compare');
+}
+
+// Compare page: the chosen products side by side
+router.get('/compare', async (req, res) => {
+  try {
+    const ids = compare.getIds(req);
+    const found = ids.length > 0 ? await Product.find({ _id: { $in: ids } }) : [];
+    const byId = new Map(found.map(product => [product._id.toString(), product]));
+    const products = ids.map(id => byId.get(id)).filter(Boolean);
+
+    // Forget products that were deleted since they were added
+    if (products.length !== ids.length) {
+      compare.keepOnly(req, products.map(product => product._id));
+    }
+
+    const categoryNames = await Category.getNameMap();
+    const effectivePrice = product => (product.discountPrice && product.discountPrice < product.price)
+      ? product.discountPrice
+      : product.price;
+
+    res.render('products/compare', {
+      title: 'Compare Products | Royal Footwear',
+      products,
+      categoryNames,
+      effectivePrice,
+      lowestPrice: products.length > 1 ? Math.min(...products.map(effectivePrice)) : null,
+      user: req.user || null
+    });
+  } catch (error) {
+    console.error('Compare page error:', error);
+    req.flash('error_msg', 'Error loading comparison');
+    res.redirect('/products');
+  }
+});
+
+// Add a product to the comparison (up to compare.MAX_COMPARE)
+router.post('/compare/add', async (req, res) => {
+  try {
+    const { productId } = req.body;
+    const product = mongoose.isValidObjectId(productId)
+      ? await Product.findById(productId).select('name')
+      : null;
+
+    if (!product) {
+      return sendCompareResult(req, res, false, 'Product not found');
+    }
+
+    const result = compare.add(req, product._id);
+
+    if (!result.added && result.reason === 'full') {
+      return sendCompareResult(req, res, false, `You can compare up to ${compare.MAX_COMPARE} products. Remove one first.`);
+    }
+
+    sendCompareResult(req, res, true, result.added
+      ? `${product.name} added to compare`
+      : `${product.name} is already in your comparison`);
+  } catch (error) {
+    console.error('Compare add error:', error);
+    sendCompareResult(req, res, false, 'Error updating comparison');
+  }
+});
+
+// Remove a product from the comparison
+router.post('/compare/remove/:productId', (req, res) => {
+  compare.remove(req, req.params.productId);
+  sendCompareResult(req, res, true, 'Removed from comparison');
+});
+
+// Empty the comparison
+router.post('/compare/clear', (req, res) => {
+  compare.clear(req);
+  sendCompareResult(req, res, true, 'Comparison cleared');
+});
+
 // ============ PRODUCT API ROUTES ============
 
 // Quick View Product (AJAX)
@@ -743,9 +487,19 @@ router.get('/:id/quickview', async (req, res) => {
         images: product.colors[0]?.images || product.images || [],
         stock: product.sizes.reduce((sum, size) => sum + size.quantity, 0),
         sizes: product.sizes.filter(s => s.quantity > 0).map(s => s.size),
+        sizeLabels: product.sizes.filter(s => s.quantity > 0).map(s => product.displaySize(s.size, res.locals.sizeSystem)),
+        sizeSystem: product.sizeSystem,
+        gender: product.gender,
+        fit: product.fit,
         colors: product.colors.map(c => ({ name: c.name, code: c.code })),
         brand: product.brand,
-        category: product.category
+        category: product.category,
+        url: Product.urlFor(product),
+        inCompare: compare.getIds(req).includes(product._id.toString())
+      },
+      compare: {
+        count: compare.getIds(req).length,
+        max: compare.MAX_COMPARE
       }
     });
   } catch (error) {
@@ -757,35 +511,186 @@ router.get('/:id/quickview', async (req, res) => {
   }
 });
 
-// Get Products by Category
-router.get('/category/:category', async (req, res) => {
+// Questions and answers for a product (JSON)
+router.get('/:id/questions', async (req, res) => {
   try {
-    const products = await Product.find({ 
-      category: req.params.category,
-      'sizes.quantity': { $gt: 0 } // Only products with stock
-    }).sort({ createdAt: -1 }).limit(20);
+    const product = mongoose.isValidObjectId(req.params.id)
+      ? await Product.exists({ _id: req.params.id })
+      : null;
 
-    const categories = await Product.distinct('category');
-    const brands = await Product.distinct('brand');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const filter = { product: product._id };
+    if (req.query.status === 'answered' || req.query.status === 'open') {
+      filter.status = req.query.status;
+    }
+
+    const { items: questions, pageInfo } = await pagination.paginateQuery(
+      Question, filter, { createdAt: -1 }, pagination.parsePagination(req.query, Question.PAGE_SIZE)
+    );
+    await Question.populate(questions, { path: 'user', select: 'name' });
+
+    res.json({
+      success: true,
+      questions: questions.map(question => question.toPublicJSON(req.user ? req.user._id : null)),
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching questions'
+    });
+  }
+});
+
+// Ask a question about a product
+router.post('/:id/questions', ensureAuthenticated, async (req, res) => {
+  let product = null;
+
+  try {
+    product = mongoose.isValidObjectId(req.params.id)
+      ? await Product.findById(req.params.id).select('slug')
+      : null;
+
+    if (!product) {
+      req.flash('error_msg', 'Product not found');
+      return res.redirect('/products');
+    }
+
+    await Question.create({
+      product: product._id,
+      user: req.user._id,
+      body: req.body.body
+    });
+
+    req.flash('success_msg', 'Thanks! We\'ll post an answer on this page soon.');
+    res.redirect(Product.urlFor(product) + '#questions');
+  } catch (error) {
+    console.error('Ask question error:', error);
+
+    const message = error.name === 'ValidationError'
+      ? Object.values(error.errors).map(err => err.message).join(', ')
+      : 'Error posting question';
+    req.flash('error_msg', message);
+    res.redirect(product ? Product.urlFor(product) + '#questions' : '/products');
+  }
+});
+
+// Vote an answer helpful (once per customer)
+router.post('/questions/:questionId/answers/:answerId/helpful', ensureAuthenticated, async (req, res) => {
+  try {
+    const { questionId, answerId } = req.params;
+
+    if (!mongoose.isValidObjectId(questionId) || !mongoose.isValidObjectId(answerId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+    }
+
+    const answer = await Question.voteHelpful(questionId, answerId, req.user._id);
 
-    res.render('products/category', {
-      title: `${req.params.category.charAt(0).toUpperCase() + req.params.category.slice(1)} Shoes | Royal Footwear`,
+    if (!answer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Answer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks for your feedback!',
+      helpfulCount: answer.helpfulCount
+    });
+  } catch (error) {
+    console.error('Helpful vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording vote'
+    });
+  }
+});
+
+// Get Products by Category (the listing, narrowed to one category and its subcategories, in stock)
+router.get('/category/:category', async (req, res) => {
+  const asJson = pagination.wantsJson(req);
+
+  try {
+    const category = await Category.findOne({ slug: req.params.category.toLowerCase(), isActive: true }).lean();
+    // Enabled categories under a disabled one are hidden too
+    const subtree = category ? await Category.getSubtreeSlugs(category.slug, { activeOnly: true }) : [];
+
+    if (subtree.length === 0) {
+      if (asJson) {
+        return res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+      req.flash('error_msg', 'Category not found');
+      return res.redirect('/products');
+    }
+
+    const query = {
+      ...req.query,
+      category: subtree,
+      inStock: 'true'
+    };
+    const filter = productFilters.buildFilter(query);
+    const { items: products, pageInfo } = await pagination.paginateQuery(
+      Product, filter, { createdAt: -1 }, pagination.parsePagination(query), { withTotal: !asJson }
+    );
+
+    if (asJson) {
+      return sendProductPage(res, products, pageInfo);
+    }
+
+    const [categories, brands, facets, subcategories, parentCategory] = await Promise.all([
+      Product.distinct('category'),
+      Product.distinct('brand'),
+      productFilters.getFacets(query),
+      Category.find({ parent: category._id, isActive: true }).sort({ sortOrder: 1, name: 1 }).lean(),
+      category.parent ? Category.findById(category.parent).lean() : null
+    ]);
+
+    res.render('products/index', {
+      title: `${category.name} Shoes | Royal Footwear`,
       products: products || [],
-      category: req.params.category,
+      category,
+      subcategories,
+      parentCategory,
       categories: categories || [],
       brands: brands || [],
-      filters: req.query || {},
+      facets,
+      filters: query,
+      pagination: pageInfo,
+      totalProducts: pageInfo.total,
       user: req.user || null
     });
   } catch (error) {
     console.error('Category products error:', error);
-    res.render('products/category', {
+    if (asJson) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error fetching products'
+      });
+    }
+    res.render('products/index', {
       title: 'Category | Royal Footwear',
       products: [],
-      category: req.params.category,
+      category: null,
       categories: [],
       brands: [],
+      facets: null,
       filters: {},
+      pagination: null,
+      totalProducts: 0,
       user: req.user || null
     });
   }
@@ -793,46 +698,174 @@ router.get('/category/:category', async (req, res) => {
 
 // Search Products
 router.get('/search', async (req, res) => {
+  const asJson = pagination.wantsJson(req);
+
   try {
     const { q } = req.query;
     
     if (!q) {
-      return res.redirect('/products');
+      return asJson
+        ? res.status(400).json({ success: false, message: 'Search query is required' })
+        : res.redirect('/products');
     }
 
-    const products = await Product.find({
-      $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } },
-        { brand: { $regex: q, $options: 'i' } },
-        { category: { $regex: q, $options: 'i' } }
-      ]
-    }).sort({ createdAt: -1 });
+    // Ranked ids from the search index; only the requested page is loaded, in that order
+    const matches = await searchIndex.search(q);
+    const searchRanking = new Map(matches.map((match, position) => [match.id, position]));
+    const { items: products, pageInfo } = await findRankedPage(
+      { _id: { $in: matches.map(match => match.id) } },
+      searchRanking,
+      pagination.parsePagination(req.query)
+    );
 
-    const categories = await Product.distinct('category');
-    const brands = await Product.distinct('brand');
+    if (asJson) {
+      return sendProductPage(res, products, pageInfo);
+    }
+
+    const [categories, brands] = await Promise.all([
+      Product.distinct('category'),
+      Product.distinct('brand')
+    ]);
 
-    res.render('products/search', {
+    res.render('products/index', {
       title: `Search: "${q}" | Royal Footwear`,
       products: products || [],
       searchQuery: q,
       categories: categories || [],
       brands: brands || [],
+      filters: { search: q },
+      pagination: pageInfo,
+      totalProducts: pageInfo.total,
       user: req.user || null
     });
   } catch (error) {
     console.error('Search error:', error);
-    res.render('products/search', {
+    if (asJson) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error searching products'
+      });
+    }
+    res.render('products/index', {
       title: 'Search | Royal Footwear',
       products: [],
       searchQuery: req.query.q || '',
       categories: [],
       brands: [],
+      filters: { search: req.query.q || '' },
+      pagination: null,
+      totalProducts: 0,
       user: req.user || null
     });
   }
 });
 
+// Facet counts for the current filter set (API)
+router.get('/api/facets', async (req, res) => {
+  try {
+    let searchIds = null;
+    if (req.query.search && req.query.search.trim()) {
+      const matches = await searchIndex.search(req.query.search);
+      searchIds = matches.map(match => match.id);
+    }
+
+    const filter = productFilters.buildFilter(req.query, { searchIds });
+    const [facets, totalProducts] = await Promise.all([
+      productFilters.getFacets(req.query, { searchIds }),
+      Product.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      totalProducts,
+      selection: productFilters.parseSelection(req.query),
+      facets
+    });
+  } catch (error) {
+    console.error('Facets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching filters'
+    });
+  }
+});
+
+// Search-as-you-type suggestions for the header search box (API)
+router.get('/api/suggest', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const limit = Math.min(10, Math.max(1, parseInt(req.query.limit) || 5));
+
+    if (q.length < 2) {
+      return res.json({
+        success: true,
+        query: q,
+        suggestions: { products: [], brands: [], categories: [] }
+      });
+    }
+
+    const matches = await searchIndex.suggest(q, limit);
+
+    // Load the suggested products and keep the index's ranking
+    const found = await Product.find(
+      { _id: { $in: matches.products.map(match => match.id) } },
+      'name slug brand category price discountPrice colors'
+    ).lean();
+    const byId = new Map(found.map(product => [product._id.toString(), product]));
+
+    const products = matches.products
+      .map(match => byId.get(match.id))
+      .filter(Boolean)
+      .map(product => {
+        const image = product.colors?.[0]?.images?.[0];
+        return {
+          _id: product._id,
+          name: product.name,
+          brand: product.brand,
+          price: product.price,
+          discountPrice: product.discountPrice,
+          thumbnail: image ? (image.secure_url || image.url) : '/images/default-shoe.jpg',
+          url: Product.urlFor(product)
+        };
+      });
+
+    // Brand and category suggestions link to their own pages when they have one
+    const [brandDocs, categoryNames] = await Promise.all([
+      Brand.find({ name: { $in: matches.brands.map(brand => brand.value) }, isActive: true }, 'name slug').lean(),
+      Category.getNameMap()
+    ]);
+    const brandSlugs = new Map(brandDocs.map(brand => [brand.name, brand.slug]));
+
+    res.json({
+      success: true,
+      query: q,
+      suggestions: {
+        products,
+        brands: matches.brands.map(brand => ({
+          name: brand.value,
+          count: brand.count,
+          url: brandSlugs.has(brand.value)
+            ? `/brands/${brandSlugs.get(brand.value)}`
+            : `/products?brand=${encodeURIComponent(brand.value)}`
+        })),
+        categories: matches.categories.map(category => ({
+          name: categoryNames.get(category.value) || category.value,
+          count: category.count,
+          url: categoryNames.has(category.value)
+            ? `/products/category/${category.value}`
+            : `/products?category=${encodeURIComponent(category.value)}`
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Search suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching suggestions'
+    });
+  }
+});
+
 // Featured Products (API)
 router.get('/api/featured', async (req, res) => {
   try {
@@ -854,6 +887,56 @@ router.get('/api/featured', async (req, res) => {
   }
 });
 
+// Customers also bought (API) - precomputed from orders, see utils/recommendations.js
+router.get('/api/recommendations/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !(await Product.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const { products, computedAt } = await recommendations.getRecommendations(req.params.id, {
+      limit: parseInt(req.query.limit) || 4
+    });
+
+    res.json({
+      success: true,
+      productId: req.params.id,
+      computedAt,
+      products: products.map(productCardData)
+    });
+  } catch (error) {
+    console.error('Recommendations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching recommendations'
+    });
+  }
+});
+
+// Recently viewed by this shopper (API) - feeds the strips on the home, product and cart pages
+router.get('/api/recently-viewed', async (req, res) => {
+  try {
+    const products = await recentlyViewed.getProducts(req, {
+      exclude: req.query.exclude,
+      limit: parseInt(req.query.limit) || 8
+    });
+
+    res.json({
+      success: true,
+      products: products.map(productCardData)
+    });
+  } catch (error) {
+    console.error('Recently viewed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching recently viewed products'
+    });
+  }
+});
+
 // New Arrivals (API)
 router.get('/api/new-arrivals', async (req, res) => {
   try {
@@ -881,7 +964,7 @@ router.get('/api/new-arrivals', async (req, res) => {
 // Check Stock Availability
 router.post('/check-stock', async (req, res) => {
   try {
-    const { productId, size, quantity } = req.body;
+    const { productId, size, color, quantity } = req.body;
     
     const product = await Product.findById(productId);
     
@@ -893,10 +976,12 @@ router.post('/check-stock', async (req, res) => {
       });
     }
 
+    const hasVariants = product.variants && product.variants.length > 0;
+    const variant = color ? product.findVariant(size, color) : null;
     const selectedSize = product.sizes.find(s => s.size == size);
     const requestedQuantity = parseInt(quantity) || 1;
     
-    if (!selectedSize) {
+    if (!selectedSize || (hasVariants && color && !variant)) {
       return res.json({
         success: false,
         available: false,
@@ -904,13 +989,21 @@ router.post('/check-stock', async (req, res) => {
       });
     }
 
-    const isAvailable = selectedSize.quantity >= requestedQuantity;
+    const stock = product.getStock(size, color);
+    const isAvailable = stock >= requestedQuantity;
     
     res.json({
       success: true,
       available: isAvailable,
-      maxQuantity: selectedSize.quantity,
-      message: isAvailable ? 'In stock' : 'Out of stock'
+      maxQuantity: stock,
+      sku: variant ? variant.sku : undefined,
+      price: variant ? product.getVariantPrice(variant) : undefined,
+      message: isAvailable ? 'In stock' : 'Out of stock',
+      // Sold out: the shopper can ask to be told when it's back (POST /products/:id/stock-alerts)
+      canNotify: stock <= 0,
+      subscribed: stock <= 0 && req.user
+        ? await stockAlerts.isSubscribed(req.user._id, product._id, size, color)
+        : false
     });
     
   } catch (error) {
@@ -923,6 +1016,82 @@ router.post('/check-stock', async (req, res) => {
   }
 });
 
+// Look up the product and sold-out size/color a stock alert is for.
+// Returns { product, size, color } or { status, message } when it can't be subscribed to.
+async function findAlertTarget(req) {
+  const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id) : null;
+  if (!product) {
+    return { status: 404, message: 'Product not found' };
+  }
+
+  const size = parseFloat(req.body.size);
+  const color = (req.body.color || '').trim();
+  const hasVariants = product.variants && product.variants.length > 0;
+  const carriesSize = product.sizes.some(s => s.size == size) ||
+    (hasVariants && product.variants.some(variant => variant.size == size));
+
+  if (isNaN(size) || !carriesSize || (hasVariants && color && !product.findVariant(size, color))) {
+    return { status: 400, message: 'Selected size not available' };
+  }
+
+  return { product, size, color };
+}
+
+// Notify me when a sold-out size (and color) is back in stock
+router.post('/:id/stock-alerts', ensureAuthenticated, async (req, res) => {
+  try {
+    const target = await findAlertTarget(req);
+    if (!target.product) {
+      return res.status(target.status).json({ success: false, message: target.message });
+    }
+
+    if (target.product.getStock(target.size, target.color) > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This size is in stock - you can add it to your cart now'
+      });
+    }
+
+    await stockAlerts.subscribe(req.user._id, target.product._id, target.size, target.color);
+
+    res.json({
+      success: true,
+      subscribed: true,
+      message: `We'll email ${req.user.email} as soon as it's back in stock`
+    });
+  } catch (error) {
+    console.error('Stock alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving stock alert'
+    });
+  }
+});
+
+// Cancel a back-in-stock alert
+router.delete('/:id/stock-alerts', ensureAuthenticated, async (req, res) => {
+  try {
+    const target = await findAlertTarget(req);
+    if (!target.product) {
+      return res.status(target.status).json({ success: false, message: target.message });
+    }
+
+    await stockAlerts.unsubscribe(req.user._id, target.product._id, target.size, target.color);
+
+    res.json({
+      success: true,
+      subscribed: false,
+      message: 'Stock alert cancelled'
+    });
+  } catch (error) {
+    console.error('Stock alert cancel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling stock alert'
+    });
+  }
+});
+
 // Get Available Sizes for Product
 router.get('/:id/sizes', async (req, res) => {
   try {
@@ -935,16 +1104,34 @@ router.get('/:id/sizes', async (req, res) => {
       });
     }
 
+    const { color } = req.query;
+    
     const availableSizes = product.sizes
-      .filter(size => size.quantity > 0)
-      .map(size => ({
-        size: size.size,
-        quantity: size.quantity
-      }));
+      .map(size => {
+        const variant = color ? product.findVariant(size.size, color) : null;
+        return {
+          size: size.size,
+          label: product.displaySize(size.size, res.locals.sizeSystem),
+          quantity: product.getStock(size.size, color),
+          sku: variant ? variant.sku : undefined,
+          price: variant ? product.getVariantPrice(variant) : undefined
+        };
+      })
+      .filter(size => size.quantity > 0);
 
     res.json({
       success: true,
-      sizes: availableSizes
+      color: color || null,
+      sizeSystem: product.sizeSystem,
+      displaySystem: res.locals.sizeSystem,
+      sizes: availableSizes,
+      variants: (product.variants || []).map(variant => ({
+        sku: variant.sku,
+        size: variant.size,
+        color: variant.color,
+        stock: variant.stock,
+        price: product.getVariantPrice(variant)
+      }))
     });
     
   } catch (error) {
@@ -956,4 +1143,163 @@ router.get('/:id/sizes', async (req, res) => {
   }
 });
 
+// ============ REVIEW ROUTES ============
+
+// Approved reviews for a product (sorted, filtered and paginated like the product page tab)
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const product = mongoose.isValidObjectId(req.params.id)
+      ? await Product.findById(req.params.id).select('rating reviewsCount')
+      : null;
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const selection = reviewFilters.parseReviewQuery(req.query, Review.FIT_OPTIONS);
+    const { items: reviews, pageInfo } = await pagination.paginateQuery(
+      Review,
+      reviewFilters.buildReviewFilter(product._id, selection),
+      reviewFilters.sortFor(selection),
+      pagination.parsePagination(req.query, reviewFilters.REVIEWS_PER_PAGE)
+    );
+    await Review.populate(reviews, { path: 'user', select: 'name' });
+
+    res.json({
+      success: true,
+      rating: product.rating,
+      reviewsCount: product.reviewsCount,
+      summary: await Review.getSummary(product._id),
+      filters: selection,
+      reviews: reviews.map(review => ({
+        _id: review._id,
+        rating: review.rating,
+        title: review.title,
+        body: review.body,
+        fit: review.fit || null,
+        fitLabel: review.fit ? Review.FIT_LABELS[review.fit] : null,
+        size: review.size ? res.locals.formatSize(review.size, review) : null,
+        color: review.color || null,
+        photos: review.photos.map(photo => photo.secure_url || photo.url),
+        author: review.user ? review.user.name : 'Customer',
+        createdAt: review.createdAt
+      })),
+      pagination: pageInfo
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews'
+    });
+  }
+});
+
+// Submit a review (verified purchasers only; held for moderation)
+router.post('/:id/reviews', ensureAuthenticated, upload.array('photos', 4), async (req, res) => {
+  const photos = (req.files || []).map(file => ({
+    url: file.path,
+    public_id: file.filename,
+    secure_url: file.path
+  }));
+
+  // Uploaded photos are dropped whenever the review isn't saved
+  const discardPhotos = () => {
+    photos.forEach(photo => {
+      cloudinary.uploader.destroy(photo.public_id, (err) => {
+        if (err) console.error('Error deleting review photo:', err);
+      });
+    });
+  };
+
+  let product = null;
+
+  try {
+    product = mongoose.isValidObjectId(req.params.id)
+      ? await Product.findById(req.params.id)
+      : null;
+
+    if (!product) {
+      discardPhotos();
+      req.flash('error_msg', 'Product not found');
+      return res.redirect('/products');
+    }
+
+    const productUrl = Product.urlFor(product) + '#reviews';
+
+    const order = await Review.findVerifiedPurchase(req.user._id, product._id);
+    if (!order) {
+      discardPhotos();
+      req.flash('error_msg', 'Only customers who have received this product can review it');
+      return res.redirect(productUrl);
+    }
+
+    if (await Review.exists({ product: product._id, user: req.user._id })) {
+      discardPhotos();
+      req.flash('error_msg', 'You have already reviewed this product');
+      return res.redirect(productUrl);
+    }
+
+    const { rating, title, body, fit } = req.body;
+    const orderItem = order.items.find(item => item.product && item.product.equals(product._id));
+
+    await Review.create({
+      product: product._id,
+      user: req.user._id,
+      order: order._id,
+      rating: parseInt(rating),
+      title,
+      body,
+      fit: Review.FIT_OPTIONS.includes(fit) ? fit : undefined,
+      size: orderItem ? orderItem.size : undefined,
+      sizeSystem: orderItem ? orderItem.sizeSystem : undefined,
+      gender: orderItem ? orderItem.gender : undefined,
+      color: orderItem ? orderItem.color : undefined,
+      photos
+    });
+
+    req.flash('success_msg', 'Thanks for your review! It will appear once it has been approved.');
+    res.redirect(productUrl);
+  } catch (error) {
+    console.error('Submit review error:', error);
+    discardPhotos();
+
+    const message = error.name === 'ValidationError'
+      ? Object.values(error.errors).map(err => err.message).join(', ')
+      : 'Error submitting review';
+    req.flash('error_msg', message);
+    res.redirect(product ? Product.urlFor(product) + '#reviews' : '/products');
+  }
+});
+
+// Old id URLs: product pages now live at /p/:slug (see routes/productPages.js)
+// Keep this last: '/:id' would otherwise swallow '/search' and other paths
+router.get('/:id', async (req, res) => {
+  try {
+    const product = mongoose.isValidObjectId(req.params.id)
+      ? await Product.findById(req.params.id)
+      : null;
+    
+    if (!product) {
+      return res.status(404).render('404', { 
+        title: 'Product Not Found',
+        user: req.user || null
+      });
+    }
+
+    // Products saved before slugs existed are shown by id until migrate-slugs.js gives them one
+    res.redirect(301, Product.urlFor(product));
+  } catch (err) {
+    console.error('Error loading product:', err);
+    res.status(500).render('error', { 
+      title: 'Error',
+      message: 'Error loading product',
+      user: req.user || null
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
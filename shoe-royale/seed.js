@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const Product = require('./models/Product');
 const User = require('./models/User');
+const Category = require('./models/Category');
+const Brand = require('./models/Brand');
 require('dotenv').config();
 
 const sampleProducts = [
@@ -73,8 +75,21 @@ async function seedDatabase() {
         await Product.deleteMany({});
         console.log('Cleared existing products');
         
-        // Insert sample products
-        await Product.insertMany(sampleProducts);
+        // Reset categories to the defaults the sample products use
+        await Category.deleteMany({});
+        await Category.insertMany(Category.DEFAULT_CATEGORIES);
+        console.log('Added default categories');
+        
+        // One brand per brand name the sample products use
+        await Brand.deleteMany({});
+        const brandNames = [...new Set(sampleProducts.map(product => product.brand))];
+        await Brand.insertMany(brandNames.map(name => ({ name: name, slug: Brand.slugify(name) })));
+        console.log('Added brands');
+        
+        // Insert sample products (one at a time so the save hook gives each a slug)
+        for (const sampleProduct of sampleProducts) {
+            await Product.create(sampleProduct);
+        }
         console.log('Added sample products');
         
         // Create admin user
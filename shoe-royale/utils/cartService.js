@@ -0,0 +1,348 @@
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const Wishlist = require('../models/Wishlist');
+const ExpressError = require('./ExpressError');
+const guestCart = require('./guestCart');
+const coupons = require('./coupons');
+const inventory = require('./inventory');
+
+// Every change to a shopper's cart goes through here, whichever URL it came in on
+// (routes/cart.js serves both /cart and /products/cart). Functions work on the saved
+// Cart of a logged-in shopper or on the session guest cart, check sizes, colors and
+// stock the same way every time, and throw an ExpressError with an HTTP status when a
+// request can't be honoured.
+
+const MAX_QUANTITY = 10;    // Per line; the cart page's quantity buttons stop here too
+
+// The shopper's saved Cart when logged in (null if they have none yet), otherwise the guest cart
+async function findCart(req) {
+    return req.user ? Cart.findOne({ user: req.user._id }) : guestCart.load(req);
+}
+
+// Like findCart(), but a logged-in shopper without a cart gets a new, unsaved one
+async function getCart(req) {
+    return await findCart(req) || new Cart({ user: req.user._id, items: [] });
+}
+
+async function saveCart(req, cart) {
+    if (req.user) {
+        await cart.save();
+    } else {
+        guestCart.save(req, cart);
+    }
+}
+
+function itemCount(cart) {
+    return cart ? cart.items.reduce((sum, item) => sum + item.quantity, 0) : 0;
+}
+
+// Totals for a cart, with its promo code counted
+async function summarize(cart) {
+    await coupons.loadCoupon(cart);
+    return cart.calculateTotals();
+}
+
+function parseQuantity(value) {
+    const quantity = Number(value);
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+        throw new ExpressError(400, `Quantity must be between 1 and ${MAX_QUANTITY}`);
+    }
+    return quantity;
+}
+
+function findLine(cart, itemId) {
+    const item = cart && cart.items.id(itemId);
+
+    if (!item) {
+        throw new ExpressError(404, 'Item not found in cart');
+    }
+    return item;
+}
+
+// Refuse quantities the warehouse can't cover
+function checkStock(product, size, color, quantity) {
+    const stock = product.getStock(size, color);
+
+    if (stock <= 0) {
+        throw new ExpressError(409, 'Selected size is out of stock');
+    }
+    if (quantity > stock) {
+        throw new ExpressError(409, `Only ${stock} left in this size`);
+    }
+}
+
+/**
+ * Add a product in one size and color.
+ * @param {object} req
+ * @param {{ productId: string, size: number|string, color: string, quantity?: number|string }} details
+ * @returns {Promise<{ cart: object, item: object }>}
+ */
+async function addItem(req, details) {
+    const { productId, size, color } = details;
+
+    if (!productId || !size || !color) {
+        throw new ExpressError(400, 'Please select size and color');
+    }
+
+    const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+    if (!product) {
+        throw new ExpressError(404, 'Product not found');
+    }
+
+    const selectedColor = product.colors.find(c => c.name === color);
+    if (!selectedColor) {
+        throw new ExpressError(400, 'Selected color not available');
+    }
+
+    const numericSize = parseFloat(size);
+    const quantity = parseQuantity(details.quantity === undefined || details.quantity === '' ? 1 : details.quantity);
+    checkStock(product, numericSize, color, quantity);
+
+    const cart = await getCart(req);
+    if (cart.findItem(product._id, numericSize, color)) {
+        throw new ExpressError(409, 'This item is already in your cart');
+    }
+    if (!req.user && cart.items.length >= guestCart.MAX_ITEMS) {
+        throw new ExpressError(400, `A guest cart holds up to ${guestCart.MAX_ITEMS} items. Please log in to add more`);
+    }
+
+    const variant = product.findVariant(numericSize, color);
+    const firstImage = selectedColor.images && selectedColor.images[0];
+
+    const item = cart.addItem({
+        productId: product._id,
+        name: product.name,
+        ...product.getLinePrices(variant),
+        quantity,
+        size: numericSize,
+        sizeSystem: product.sizeSystem,
+        gender: product.gender,
+        color,
+        sku: variant ? variant.sku : undefined,
+        colorCode: selectedColor.code || '#000000',
+        brand: product.brand,
+        category: product.category,
+        image: firstImage ? {
+            url: firstImage.url || '/images/default-shoe.jpg',
+            secure_url: firstImage.secure_url || firstImage.url || '/images/default-shoe.jpg'
+        } : undefined
+    });
+
+    await saveCart(req, cart);
+    return { cart, item };
+}
+
+// Change a line's quantity; returns { cart, item }
+async function updateQuantity(req, itemId, value) {
+    const quantity = parseQuantity(value);
+    const cart = await findCart(req);
+    const item = findLine(cart, itemId);
+
+    // Only more of a product needs the stock check
+    if (quantity > item.quantity) {
+        const product = await Product.findById(item.product);
+        if (!product) {
+            throw new ExpressError(404, 'This product is no longer available');
+        }
+        checkStock(product, item.size, item.color?.name, quantity);
+    }
+
+    item.quantity = quantity;
+    await saveCart(req, cart);
+    return { cart, item };
+}
+
+// Take a line out of the cart; returns { cart, item } with the removed line
+async function removeItem(req, itemId) {
+    const cart = await findCart(req);
+    const item = findLine(cart, itemId);
+
+    cart.items.pull(item._id);
+    await saveCart(req, cart);
+    return { cart, item };
+}
+
+// Empty the cart and drop its promo code
+async function clear(req) {
+    const cart = await getCart(req);
+
+    cart.items = [];
+    cart.coupon = undefined;
+    if (!cart.isNew || !req.user) {
+        await saveCart(req, cart);
+    }
+    return cart;
+}
+
+// Put a line on the shopper's wishlist and take it out of the cart (logged-in shoppers only)
+async function moveToWishlist(req, itemId) {
+    const cart = await findCart(req);
+    const item = findLine(cart, itemId);
+    const product = await Product.findById(item.product);
+
+    if (product) {
+        const wishlist = await Wishlist.findOne({ user: req.user._id }) || new Wishlist({ user: req.user._id, items: [] });
+
+        if (!wishlist.items.some(saved => saved.product.equals(product._id))) {
+            wishlist.items.push({
+                product: product._id,
+                name: product.name,
+                price: product.price,
+                discountPrice: product.discountPrice,
+                image: item.image && item.image.url ? item.image : undefined,
+                brand: product.brand,
+                category: product.category,
+                colors: product.colors || [],
+                sizes: product.sizes || []
+            });
+            await wishlist.save();
+        }
+    }
+
+    cart.items.pull(item._id);
+    await saveCart(req, cart);
+    return { cart, item };
+}
+
+/**
+ * Put a promo code on the shopper's saved cart after checking it against the items.
+ * @returns {Promise<{ cart: object, coupon: object }>}
+ */
+async function applyCoupon(req, rawCode) {
+    const code = coupons.normalizeCode(rawCode);
+    if (!code) {
+        throw new ExpressError(400, 'Please enter a promo code');
+    }
+
+    const cart = await findCart(req);
+    if (!cart || cart.items.length === 0) {
+        throw new ExpressError(400, 'Your cart is empty');
+    }
+
+    const coupon = await coupons.findByCode(code);
+    if (!coupon) {
+        throw new ExpressError(404, `"${code}" is not a valid promo code`);
+    }
+
+    const result = await coupons.check(coupon, req.user._id, cart.items);
+    if (result.error) {
+        throw new ExpressError(400, result.error);
+    }
+
+    cart.coupon = coupon._id;
+    await saveCart(req, cart);
+    cart.coupon = coupon;
+    return { cart, coupon };
+}
+
+async function removeCoupon(req) {
+    const cart = await findCart(req);
+    if (!cart || !cart.coupon) {
+        throw new ExpressError(400, 'No promo code applied');
+    }
+
+    cart.coupon = undefined;
+    await saveCart(req, cart);
+    return cart;
+}
+
+// What the shopper pays per unit on a line, before promo codes
+function unitPrice(item) {
+    return item.discountPrice && item.discountPrice < item.price ? item.discountPrice : item.price;
+}
+
+/**
+ * Check every line against the current Product before an order is placed: reprice it
+ * (discountPrice included), cut its quantity to the stock left in its size and color
+ * (counting the shopper's own checkout holds), and drop it when the product or size is
+ * gone. The cart is changed but not saved.
+ * @returns {Promise<Array<{ itemId: string, productId: string, name: string, size: number,
+ *   sizeSystem: string, gender: string, color: string, status: string, reason: string,
+ *   price?: { from: number, to: number }, quantity?: { from: number, to: number } }>>}
+ *   one entry per changed line (status 'updated' or 'removed'); empty when nothing changed
+ */
+async function revalidate(cart) {
+    const ids = cart.items.map(item => item.product._id);
+    const products = new Map(
+        (await Product.find({ _id: { $in: ids } })).map(product => [product._id.toString(), product])
+    );
+    // Stock the shopper holds in checkout is off the shelf but still theirs
+    const held = await inventory.heldBy(cart.user);
+    const changes = [];
+
+    cart.items.slice().forEach(item => {
+        const product = products.get(item.product._id.toString());
+        const color = item.color?.name;
+        const change = {
+            itemId: item._id.toString(),
+            productId: item.product._id.toString(),
+            name: item.name,
+            size: item.size,
+            sizeSystem: item.sizeSystem,
+            gender: item.gender,
+            color
+        };
+
+        const stock = product ? product.getStock(item.size, color) + (held.get(inventory.holdKey(item)) || 0) : 0;
+        if (!product || stock <= 0) {
+            cart.items.pull(item._id);
+            changes.push({
+                ...change,
+                status: 'removed',
+                reason: product ? 'Sold out in this size' : 'No longer available',
+                quantity: { from: item.quantity, to: 0 }
+            });
+            return;
+        }
+
+        const reasons = [];
+        if (item.quantity > stock) {
+            change.quantity = { from: item.quantity, to: stock };
+            item.quantity = stock;
+            reasons.push(`Only ${stock} left in this size`);
+        }
+
+        const before = unitPrice(item);
+        const prices = product.getLinePrices(product.findVariant(item.size, color));
+        item.price = prices.price;
+        item.discountPrice = prices.discountPrice;
+        const after = unitPrice(item);
+        if (after !== before) {
+            change.price = { from: before, to: after };
+            reasons.push(after < before ? 'Price dropped' : 'Price went up');
+        }
+
+        if (reasons.length > 0) {
+            changes.push({ ...change, status: 'updated', reason: reasons.join('; ') });
+        }
+    });
+
+    return changes;
+}
+
+// Whether a product is in the cart in this size and color
+async function hasItem(req, productId, size, color) {
+    const cart = await findCart(req);
+    return Boolean(cart && productId && cart.findItem(productId, size, color));
+}
+
+module.exports = {
+    MAX_QUANTITY,
+    findCart,
+    getCart,
+    saveCart,
+    itemCount,
+    summarize,
+    addItem,
+    updateQuantity,
+    removeItem,
+    clear,
+    moveToWishlist,
+    applyCoupon,
+    removeCoupon,
+    unitPrice,
+    revalidate,
+    hasItem
+};
@@ -0,0 +1,141 @@
+// Checkout steps: address → shipping method → review → confirmation. What the shopper
+// picks along the way is kept in the session (req.session.checkout) until the order is
+// placed, and every step checks the ones before it, so an order can't be placed
+// without a complete address and a shipping method.
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'country', 'zipCode', 'phone'];
+
+const REQUIRED_ADDRESS_FIELDS = {
+    street: 'Please enter your street address',
+    city: 'Please enter your city',
+    state: 'Please enter your state',
+    country: 'Please select your country',
+    zipCode: 'Please enter your ZIP code'
+};
+
+const COUNTRIES = ['India', 'USA', 'UK', 'Canada', 'Australia'];
+
+// Standard delivery is free over FREE_SHIPPING_OVER or with a free-shipping promo code;
+// the faster methods always cost their price
+const FREE_SHIPPING_OVER = 100;
+
+const SHIPPING_METHODS = [
+    { code: 'standard', label: 'Standard Delivery', eta: '5-7 business days', price: 10, freeEligible: true },
+    { code: 'express', label: 'Express Delivery', eta: '2-3 business days', price: 25, freeEligible: false },
+    { code: 'next_day', label: 'Next-Day Delivery', eta: 'Next business day', price: 50, freeEligible: false }
+];
+
+const PAYMENT_METHODS = [
+    { code: 'cash_on_delivery', label: 'Cash on Delivery' },
+    { code: 'credit_card', label: 'Credit / Debit Card' },
+    { code: 'paypal', label: 'PayPal' }
+];
+
+const TAX_RATE = 0.1;
+
+function getState(req) {
+    return req.session.checkout || {};
+}
+
+function saveState(req, changes) {
+    req.session.checkout = { ...getState(req), ...changes };
+}
+
+function clearState(req) {
+    delete req.session.checkout;
+}
+
+// Address fields from a form or a saved address, trimmed
+function readAddress(source) {
+    const address = {};
+    ADDRESS_FIELDS.forEach(field => {
+        address[field] = String((source && source[field]) || '').trim();
+    });
+    return address;
+}
+
+/**
+ * Check an address has everything a courier needs.
+ * @returns {Object<string, string>} messages keyed by field; empty when the address is complete
+ */
+function addressErrors(address) {
+    const errors = {};
+
+    Object.entries(REQUIRED_ADDRESS_FIELDS).forEach(([field, message]) => {
+        if (!address || !String(address[field] || '').trim()) {
+            errors[field] = message;
+        }
+    });
+
+    if (!errors.zipCode && !/^[A-Za-z0-9][A-Za-z0-9 -]{2,9}$/.test(address.zipCode.trim())) {
+        errors.zipCode = 'Please enter a valid ZIP code';
+    }
+    if (address && address.phone && !/^\+?[0-9 ()-]{7,20}$/.test(address.phone.trim())) {
+        errors.phone = 'Please enter a valid phone number';
+    }
+    return errors;
+}
+
+function isCompleteAddress(address) {
+    return Object.keys(addressErrors(address)).length === 0;
+}
+
+function findShippingMethod(code) {
+    return SHIPPING_METHODS.find(method => method.code === code) || null;
+}
+
+function findPaymentMethod(code) {
+    return PAYMENT_METHODS.find(method => method.code === code) || null;
+}
+
+// What a shipping method costs for a cart, given cart.calculateTotals()
+function shippingCost(method, totals) {
+    const merchandise = totals.subtotal - totals.discountTotal;
+
+    if (method.freeEligible && (totals.freeShipping || merchandise > FREE_SHIPPING_OVER)) {
+        return 0;
+    }
+    return method.price;
+}
+
+// Every shipping method with its cost for this cart
+function shippingOptions(totals) {
+    return SHIPPING_METHODS.map(method => ({ ...method, cost: shippingCost(method, totals) }));
+}
+
+/**
+ * Order amounts for a cart and shipping method.
+ * @param {object} totals - cart.calculateTotals(), with the promo code loaded
+ * @param {object} method - one of SHIPPING_METHODS
+ */
+function orderTotals(totals, method) {
+    const totalAmount = totals.subtotal - totals.discountTotal;
+    const discountAmount = totals.couponDiscount;
+    const taxAmount = (totalAmount - discountAmount) * TAX_RATE;
+    const shippingAmount = shippingCost(method, totals);
+
+    return {
+        totalAmount,
+        discountAmount,
+        taxAmount,
+        shippingAmount,
+        grandTotal: totalAmount - discountAmount + taxAmount + shippingAmount
+    };
+}
+
+module.exports = {
+    ADDRESS_FIELDS,
+    COUNTRIES,
+    SHIPPING_METHODS,
+    PAYMENT_METHODS,
+    getState,
+    saveState,
+    clearState,
+    readAddress,
+    addressErrors,
+    isCompleteAddress,
+    findShippingMethod,
+    findPaymentMethod,
+    shippingOptions,
+    orderTotals
+};
@@ -0,0 +1,46 @@
+// Product comparison list, kept in the session as an ordered array of product ids
+
+const MAX_COMPARE = 4;
+
+function getIds(req) {
+    return Array.isArray(req.session.compare) ? req.session.compare : [];
+}
+
+// Add a product; returns { added, reason } where reason is 'exists' or 'full' when not added
+function add(req, productId) {
+    const ids = getIds(req);
+    const id = String(productId);
+
+    if (ids.includes(id)) {
+        return { added: false, reason: 'exists' };
+    }
+    if (ids.length >= MAX_COMPARE) {
+        return { added: false, reason: 'full' };
+    }
+
+    req.session.compare = [...ids, id];
+    return { added: true };
+}
+
+function remove(req, productId) {
+    req.session.compare = getIds(req).filter(id => id !== String(productId));
+}
+
+function clear(req) {
+    req.session.compare = [];
+}
+
+// Drop ids whose products no longer exist
+function keepOnly(req, existingIds) {
+    const keep = new Set(existingIds.map(String));
+    req.session.compare = getIds(req).filter(id => keep.has(id));
+}
+
+module.exports = {
+    MAX_COMPARE,
+    getIds,
+    add,
+    remove,
+    clear,
+    keepOnly
+};
@@ -0,0 +1,133 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Category = require('../models/Category');
+const ExpressError = require('./ExpressError');
+
+// Promo codes on the cart. Coupon.evaluate() prices a coupon against cart items;
+// this module adds what needs the database: the category subtree a coupon covers,
+// the per-shopper limit, and claiming a use when an order is placed. The global
+// limit is enforced by an atomic increment and the per-shopper limit by a unique index,
+// so two orders can't take the last use.
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// Load the category subtree a coupon covers so appliesTo() includes subcategories
+// (the enabled ones; disabled subcategories are hidden from the shop)
+async function prepare(coupon) {
+    if (coupon.categories.length > 0 && !coupon.$locals.categorySlugs) {
+        const slugs = new Set(coupon.categories);
+        (await Promise.all(coupon.categories.map(slug => Category.getSubtreeSlugs(slug, { activeOnly: true }))))
+            .forEach(subtree => subtree.forEach(slug => slugs.add(slug)));
+        coupon.$locals.categorySlugs = slugs;
+    }
+    return coupon;
+}
+
+async function findByCode(code) {
+    const normalized = normalizeCode(code);
+    if (!normalized) return null;
+
+    const coupon = await Coupon.findOne({ code: normalized });
+    return coupon ? prepare(coupon) : null;
+}
+
+// Populate and prepare the cart's coupon so cart.calculateTotals() counts it
+async function loadCoupon(cart) {
+    if (!cart || !cart.coupon) return cart;
+
+    await cart.populate('coupon');
+    if (cart.coupon) {
+        await prepare(cart.coupon);
+    }
+    return cart;
+}
+
+/**
+ * Check a coupon for a shopper's cart items, including their own usage limit.
+ * @returns {Promise<{ discount: number, freeShipping: boolean, eligibleSubtotal: number, error: string|null }>}
+ */
+async function check(coupon, userId, items) {
+    await prepare(coupon);
+
+    const result = coupon.evaluate(items);
+    if (result.error || !coupon.perUserLimit) return result;
+
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+    if (used >= coupon.perUserLimit) {
+        return {
+            discount: 0,
+            freeShipping: false,
+            eligibleSubtotal: result.eligibleSubtotal,
+            error: 'You have already used this coupon'
+        };
+    }
+    return result;
+}
+
+/**
+ * Claim one use of a coupon for an order. The global limit is an atomic increment; the
+ * shopper's own limit is a free slot (1..perUserLimit) on the unique redemption index.
+ * Nothing stays claimed when this throws.
+ * @returns {Promise<object>} the redemption
+ * @throws {ExpressError} 409 when the last use, or the shopper's last use, was taken in the meantime
+ */
+async function redeem(coupon, userId, orderId, result) {
+    const claimed = await Coupon.findOneAndUpdate(
+        coupon.usageLimit
+            ? { _id: coupon._id, usedCount: { $lt: coupon.usageLimit } }
+            : { _id: coupon._id },
+        { $inc: { usedCount: 1 } }
+    );
+    if (!claimed) throw new ExpressError(409, 'This coupon has reached its usage limit');
+
+    const redemption = {
+        coupon: coupon._id,
+        code: coupon.code,
+        user: userId,
+        order: orderId,
+        discount: result.discount,
+        freeShipping: result.freeShipping
+    };
+
+    try {
+        if (!coupon.perUserLimit) return await CouponRedemption.create(redemption);
+
+        for (let slot = 1; slot <= coupon.perUserLimit; slot++) {
+            try {
+                return await CouponRedemption.create({ ...redemption, slot });
+            } catch (err) {
+                if (err.code !== 11000) throw err;
+            }
+        }
+        throw new ExpressError(409, 'You have already used this coupon');
+    } catch (err) {
+        await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+        throw err;
+    }
+}
+
+// Give back a use claimed by redeem(), e.g. when the order could not be saved. The
+// redemption is deleted first, so a use is never given back twice.
+async function release(redemption) {
+    const { deletedCount } = await CouponRedemption.deleteOne({ _id: redemption._id });
+    if (deletedCount === 0) return;
+    await Coupon.updateOne({ _id: redemption.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+}
+
+// Give back the coupon use of a cancelled or returned order, if it had one
+async function releaseOrder(order) {
+    const redemption = await CouponRedemption.findOne({ order: order._id });
+    if (redemption) await release(redemption);
+}
+
+module.exports = {
+    normalizeCode,
+    findByCode,
+    loadCoupon,
+    check,
+    redeem,
+    release,
+    releaseOrder
+};
@@ -0,0 +1,4 @@
+// Escape user input so it can be used literally inside a RegExp / $regex
+module.exports = (text) => {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,66 @@
+const Cart = require('../models/Cart');
+
+// Guest carts. Visitors who aren't logged in keep their cart items in the session, in
+// the same shape as cartItemSchema; load() wraps them in an unsaved Cart document so the
+// cart routes and views treat both kinds of cart alike. When the visitor logs in or
+// registers, mergeIntoUser() moves the items into their saved Cart.
+
+const MAX_ITEMS = 50;    // Lines per guest cart; cartService.addItem refuses more
+
+// The guest items from the session (read them before req.login(), which regenerates the session)
+function fromSession(req) {
+    return Array.isArray(req.session.guestCart) ? req.session.guestCart : [];
+}
+
+// Items in cartItemSchema shape as an unsaved Cart document (casts session data back to schema types)
+function toCart(items) {
+    return new Cart({ items });
+}
+
+// The guest cart as an unsaved Cart document
+function load(req) {
+    return toCart(fromSession(req));
+}
+
+// Write a guest cart's items back to the session
+function save(req, cart) {
+    req.session.guestCart = cart.items.map(item => item.toObject({ depopulate: true }));
+}
+
+/**
+ * Fold guest cart items into the user's saved cart after they log in or register.
+ * An item already in their cart (same product, size and color) keeps the larger of the
+ * two quantities rather than adding them up, since it is usually the same pick twice.
+ * @returns {Promise<number>} guest items that were added or changed the user's cart
+ */
+async function mergeIntoUser(user, guestItems) {
+    if (!guestItems || guestItems.length === 0) return 0;
+
+    const cart = await Cart.findOne({ user: user._id }) || new Cart({ user: user._id, items: [] });
+    let merged = 0;
+
+    toCart(guestItems).items.forEach(item => {
+        const existing = cart.findItem(item.product, item.size, item.color?.name);
+
+        if (!existing) {
+            cart.items.push(item.toObject());
+            merged++;
+        } else if (item.quantity > existing.quantity) {
+            existing.quantity = item.quantity;
+            merged++;
+        }
+    });
+
+    if (merged > 0) {
+        await cart.save();
+    }
+    return merged;
+}
+
+module.exports = {
+    MAX_ITEMS,
+    fromSession,
+    load,
+    save,
+    mergeIntoUser
+};
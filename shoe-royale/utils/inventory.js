@@ -0,0 +1,551 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const StockReservation = require('../models/StockReservation');
+const InventoryMovement = require('../models/InventoryMovement');
+const ExpressError = require('./ExpressError');
+
+// Stock levels. Products with variants keep stock per size × color (variants[].stock,
+// rolled up into sizes[].quantity); older products only have sizes[].quantity. Every
+// change is one conditional $inc, so two checkouts can't both take the last pair: the
+// second update matches nothing and that order is refused. Each change is written to the
+// InventoryMovement ledger with its reason, who made it and the level it left.
+//
+// Checkout holds are optional: with STOCK_HOLD_MINUTES set, reserve() takes a shopper's
+// cart off the shelf when they reach the review step and commit() hands it to their
+// order. Holds nobody claims go back on the shelf when they expire.
+
+const SWEEP_MINUTES = 1;
+
+const SYSTEM_ACTOR = { name: 'System', kind: 'system' };
+
+let timer = null;
+
+function holdMinutes() {
+    return parseFloat(process.env.STOCK_HOLD_MINUTES) || 0;
+}
+
+/**
+ * Ledger actor for a logged-in customer (req.user) or an admin (req.session.user).
+ * @param {object} user
+ * @param {string} kind - 'customer' or 'admin'
+ */
+function actor(user, kind) {
+    return user ? { user: user._id || user.id, name: user.name, kind } : SYSTEM_ACTOR;
+}
+
+// A cart item, order item or reservation as a line moving `sign` × its quantity
+function toLine(item, sign) {
+    const color = item.color && typeof item.color === 'object' ? item.color.name : item.color;
+
+    return {
+        product: item.product._id,
+        name: item.name,
+        size: Number(item.size),
+        color: color || '',
+        delta: sign * item.quantity
+    };
+}
+
+// Ids (as strings) of the products among `lines` that keep stock per variant
+async function productsWithVariants(lines) {
+    const products = await Product.find({
+        _id: { $in: lines.map(line => line.product) },
+        'variants.0': { $exists: true }
+    }).select('_id');
+
+    return new Set(products.map(product => product._id.toString()));
+}
+
+// Conditional update for one line; taking stock only matches when enough is left
+function stockUpdate(line, withVariants) {
+    const enough = line.delta < 0 ? -line.delta : 0;
+
+    if (withVariants) {
+        return [
+            { _id: line.product, variants: { $elemMatch: { size: line.size, color: line.color, stock: { $gte: enough } } } },
+            { $inc: { 'variants.$[v].stock': line.delta, 'sizes.$[s].quantity': line.delta } },
+            { arrayFilters: [{ 'v.size': line.size, 'v.color': line.color }, { 's.size': line.size }], new: true }
+        ];
+    }
+    return [
+        { _id: line.product, sizes: { $elemMatch: { size: line.size, quantity: { $gte: enough } } } },
+        { $inc: { 'sizes.$.quantity': line.delta } },
+        { new: true }
+    ];
+}
+
+// Level (and SKU) of a line's size/color in the updated product
+function levelOf(product, line, withVariants) {
+    if (withVariants) {
+        const variant = product.variants.find(v => v.size === line.size && v.color === line.color);
+        return { level: variant ? variant.stock : undefined, sku: variant ? variant.sku : undefined };
+    }
+    const entry = product.sizes.find(s => s.size === line.size);
+    return { level: entry ? entry.quantity : undefined, sku: undefined };
+}
+
+// Apply lines in order, stopping at the first one that would oversell. Lines adding stock
+// to a size or variant that no longer exists are skipped.
+async function move(lines) {
+    const variantIds = await productsWithVariants(lines);
+    const moved = [];
+
+    for (const line of lines) {
+        const withVariants = variantIds.has(line.product.toString());
+        const product = await Product.findOneAndUpdate(...stockUpdate(line, withVariants)).select('variants sizes');
+
+        if (!product) {
+            if (line.delta < 0) return { moved, failed: line };
+            continue;
+        }
+        moved.push({ ...line, ...levelOf(product, line, withVariants) });
+    }
+    return { moved, failed: null };
+}
+
+// Undo moved lines after a later one failed; nothing is written to the ledger
+async function rollBack(moved) {
+    await move(moved.map(line => ({ ...line, delta: -line.delta })));
+}
+
+/**
+ * Write moved lines to the ledger. The stock has already changed by now, so a failed
+ * write is logged rather than thrown: a missing ledger line beats a half-placed order.
+ * @param {object} context - { reason, actor, order, note }
+ */
+async function record(moved, context) {
+    if (moved.length === 0) return [];
+
+    try {
+        return await InventoryMovement.insertMany(moved.map(line => ({
+            product: line.product,
+            sku: line.sku,
+            size: line.size,
+            color: line.color,
+            reason: context.reason,
+            delta: line.delta,
+            level: line.level,
+            order: context.order,
+            actor: context.actor || SYSTEM_ACTOR,
+            note: context.note
+        })));
+    } catch (err) {
+        console.error('Inventory ledger error:', err);
+        return [];
+    }
+}
+
+// Apply lines all or nothing and record them; returns the lines with their level and ledger id
+async function apply(lines, context) {
+    const { moved, failed } = await move(lines.filter(line => line.delta !== 0));
+
+    if (failed) {
+        await rollBack(moved);
+        throw new ExpressError(409, `Not enough stock left for ${failed.name || 'an item'} in size ${failed.size}`);
+    }
+
+    const movements = await record(moved, context);
+    return moved.map((line, index) => ({ ...line, movement: movements[index] && movements[index]._id }));
+}
+
+/**
+ * Take stock for cart or order items, all or nothing.
+ * @param {object} [context] - ledger details: { reason (default 'sale'), actor, order, note }
+ * @throws {ExpressError} 409 naming the first line there isn't enough stock for
+ */
+function take(items, context = {}) {
+    return apply(items.map(item => toLine(item, -1)), { reason: 'sale', ...context });
+}
+
+/**
+ * Put stock back for cart items, order items or reservations.
+ * @param {object} [context] - ledger details: { reason (default 'return'), actor, order, note }
+ */
+async function restore(items, context = {}) {
+    const { moved } = await move(items.map(item => toLine(item, 1)).filter(line => line.delta > 0));
+    return record(moved, { reason: 'return', ...context });
+}
+
+/**
+ * Manual change from the admin stock screen, all rows or none.
+ * @param {object} product - the Product
+ * @param {Array<{ size: number, color: string, delta: number }>} rows
+ * @param {object} context - { reason: one of InventoryMovement.MANUAL_REASONS, actor, note }
+ * @throws {ExpressError} 409 when a row would take a size below zero
+ */
+function adjust(product, rows, context) {
+    return apply(rows.map(row => ({
+        product: product._id,
+        name: product.name,
+        size: Number(row.size),
+        color: row.color || '',
+        delta: row.delta
+    })), context);
+}
+
+// Stock per size/color of a product, keyed "size|color"
+function stockLevels(product) {
+    const levels = new Map();
+    const variants = product.variants || [];
+
+    if (variants.length > 0) {
+        variants.forEach(v => levels.set(`${v.size}|${v.color}`, { size: v.size, color: v.color, sku: v.sku, level: v.stock || 0 }));
+    } else {
+        (product.sizes || []).forEach(s => levels.set(`${s.size}|`, { size: s.size, color: '', level: s.quantity || 0 }));
+    }
+    return levels;
+}
+
+// Stock rows for the adjustment screen, by size then color
+function stockRows(product) {
+    return [...stockLevels(product).entries()]
+        .map(([key, row]) => ({ key, ...row }))
+        .sort((a, b) => a.size - b.size || a.color.localeCompare(b.color));
+}
+
+// Read the adjustment form; returns the rows to change and any validation errors
+function readAdjustment(body, levels) {
+    const reason = InventoryMovement.MANUAL_REASONS.includes(body.reason) ? body.reason : null;
+    const note = (body.note || '').trim().slice(0, 300);
+    const rows = [];
+    const errors = [];
+
+    Object.entries(body.changes || {}).forEach(([key, value]) => {
+        if (String(value).trim() === '') return;
+
+        const delta = Number(value);
+        const row = levels.get(key);
+        if (!row) return;
+
+        if (!Number.isInteger(delta)) {
+            errors.push(`Size ${row.size}${row.color ? ' ' + row.color : ''}: enter a whole number`);
+        } else if (delta !== 0) {
+            rows.push({ size: row.size, color: row.color, delta });
+        }
+    });
+
+    if (!reason) errors.push('Choose a reason');
+    if (rows.length === 0 && errors.length === 0) errors.push('Enter a change for at least one size');
+    if (reason === 'restock' && rows.some(row => row.delta < 0)) errors.push('A restock can only add stock');
+    if (reason === 'damage' && rows.some(row => row.delta > 0)) errors.push('Damage can only take stock off');
+    if (reason === 'correction' && !note) errors.push('Please add a note explaining the correction');
+
+    return { reason, note, rows, errors };
+}
+
+/**
+ * Record stock typed into the product form: one movement per size/color whose level
+ * differs between `before` (stockLevels() of the product as loaded) and the saved product.
+ * @param {object} context - { reason, actor, note }
+ */
+function recordLevels(before, product, context) {
+    const after = stockLevels(product);
+    const moved = [];
+
+    new Set([...before.keys(), ...after.keys()]).forEach(key => {
+        const was = before.get(key);
+        const now = after.get(key);
+        const delta = (now ? now.level : 0) - (was ? was.level : 0);
+
+        if (delta !== 0) {
+            moved.push({ product: product._id, ...(now || was), delta, level: now ? now.level : 0 });
+        }
+    });
+    return record(moved, context);
+}
+
+/**
+ * Apply the sizes and variants chosen on the product edit form without ever writing a
+ * stock level. Each change is its own targeted update, so a sale made while the form was
+ * open is never overwritten: rows the form drops are pulled (the stock they held at that
+ * moment is recorded as a correction), new rows start at 0, and kept variants only get
+ * their price, barcode and SKU updated. Stock itself changes through adjust().
+ * @param {object} product - the Product as loaded
+ * @param {object} form - { sizes: [{ size }], variants: [{ size, color, price, barcode, sku }] }
+ * @param {object} context - ledger details for removed stock: { actor, note }
+ */
+async function updateRows(product, form, context) {
+    const key = row => `${row.size}|${row.color}`;
+    const hadVariants = (product.variants || []).length > 0;
+    const variants = await Product.assignSkus(product, form.variants);
+    const wanted = new Map(variants.map(v => [key(v), v]));
+    const removed = [];
+
+    // Variants dropped from the form take their stock off their size's total
+    for (const variant of product.variants || []) {
+        if (wanted.has(key(variant))) continue;
+
+        const before = await Product.findOneAndUpdate(
+            { _id: product._id, variants: { $elemMatch: { size: variant.size, color: variant.color } } },
+            { $pull: { variants: { size: variant.size, color: variant.color } } }
+        ).select('variants');
+        const gone = before && before.variants.find(v => v.size === variant.size && v.color === variant.color);
+        if (!gone || !gone.stock) continue;
+
+        await Product.updateOne(
+            { _id: product._id },
+            { $inc: { 'sizes.$[s].quantity': -gone.stock } },
+            { arrayFilters: [{ 's.size': gone.size }] }
+        );
+        removed.push({ product: product._id, size: gone.size, color: gone.color, sku: gone.sku, delta: -gone.stock, level: 0 });
+    }
+
+    // Kept variants: everything but the stock; new ones start empty
+    for (const variant of variants) {
+        const details = { price: variant.price, barcode: variant.barcode, sku: variant.sku };
+        const existing = (product.variants || []).find(v => key(v) === key(variant));
+
+        if (!existing) {
+            await Product.updateOne(
+                { _id: product._id, variants: { $not: { $elemMatch: { size: variant.size, color: variant.color } } } },
+                { $push: { variants: { size: variant.size, color: variant.color, stock: 0, ...details } } }
+            );
+            continue;
+        }
+
+        const set = {};
+        const unset = {};
+        Object.entries(details).forEach(([field, value]) => {
+            if (value === existing[field]) return;
+            if (value === undefined) unset[`variants.$.${field}`] = '';
+            else set[`variants.$.${field}`] = value;
+        });
+        if (Object.keys(set).length === 0 && Object.keys(unset).length === 0) continue;
+
+        await Product.updateOne(
+            { _id: product._id, variants: { $elemMatch: { size: variant.size, color: variant.color } } },
+            { $set: set, $unset: unset }
+        );
+    }
+
+    // Per-size rows: with variants they follow the variants' sizes. Without, dropped sizes
+    // take their stock with them; a product moving to variants starts its sizes afresh
+    // since that stock was never split by color.
+    const sizes = new Set(variants.length > 0 ? variants.map(v => v.size) : form.sizes.map(s => s.size));
+    const fresh = variants.length > 0 && !hadVariants;
+
+    for (const entry of product.sizes || []) {
+        if (sizes.has(entry.size) && !fresh) continue;
+
+        const before = await Product.findOneAndUpdate(
+            { _id: product._id, 'sizes.size': entry.size },
+            { $pull: { sizes: { size: entry.size } } }
+        ).select('sizes');
+        const gone = before && before.sizes.find(s => s.size === entry.size);
+        if (!hadVariants && gone && gone.quantity) {
+            removed.push({ product: product._id, size: gone.size, color: '', delta: -gone.quantity, level: 0 });
+        }
+    }
+
+    for (const size of sizes) {
+        await Product.updateOne(
+            { _id: product._id, 'sizes.size': { $ne: size } },
+            { $push: { sizes: { $each: [{ size, quantity: 0 }], $sort: { size: 1 } } } }
+        );
+    }
+
+    await record(removed, { reason: 'correction', ...context });
+}
+
+// Give back the stock of holds matching `filter`. Each hold is deleted before its stock
+// goes back, so a hold is never released twice.
+async function releaseWhere(filter, context = {}) {
+    let released = 0;
+    let hold;
+
+    while ((hold = await StockReservation.findOneAndDelete(filter))) {
+        await restore([hold], { reason: 'release', ...context });
+        released++;
+    }
+    return released;
+}
+
+// Key matching a cart item, order item or hold to the same product size and color
+function holdKey(item) {
+    const line = toLine(item, 1);
+    return `${line.product}|${line.size}|${line.color}`;
+}
+
+/**
+ * Units a shopper currently holds, by holdKey(). Their holds are already off the shelf,
+ * so checking their own cart against the stock left has to count them back in.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function heldBy(userId) {
+    const held = new Map();
+    if (!userId || !holdMinutes()) return held;
+
+    const holds = await StockReservation.find({ user: userId, expiresAt: { $gt: new Date() } });
+    holds.forEach(hold => {
+        const key = holdKey(hold);
+        held.set(key, (held.get(key) || 0) + hold.quantity);
+    });
+    return held;
+}
+
+function releaseHolds(userId, context) {
+    return releaseWhere({ user: userId }, context);
+}
+
+function releaseExpired() {
+    return releaseWhere({ expiresAt: { $lte: new Date() } }, { note: 'Expired' });
+}
+
+// Push back the expiry of a shopper's holds when they still cover exactly `items`, so
+// reloading the review page doesn't release and re-take them (a hold/release pair in the
+// ledger each time). Returns false when the holds differ or one has already run out.
+async function extendHolds(userId, items, expiresAt) {
+    const now = new Date();
+    const holds = await StockReservation.find({ user: userId });
+    if (holds.length === 0 || holds.some(hold => hold.expiresAt <= now)) return false;
+
+    const total = (map, key, quantity) => map.set(key, (map.get(key) || 0) + quantity);
+    const held = new Map();
+    const wanted = new Map();
+    holds.forEach(hold => total(held, holdKey(hold), hold.quantity));
+    items.forEach(item => total(wanted, holdKey(item), item.quantity));
+    if (held.size !== wanted.size || [...wanted].some(([key, quantity]) => held.get(key) !== quantity)) return false;
+
+    const { modifiedCount } = await StockReservation.updateMany(
+        { _id: { $in: holds.map(hold => hold._id) }, expiresAt: { $gt: now } },
+        { $set: { expiresAt } }
+    );
+    return modifiedCount === holds.length;
+}
+
+/**
+ * Hold a shopper's cart items for STOCK_HOLD_MINUTES (nothing happens when that isn't set).
+ * Holds still matching the cart are extended; otherwise they are replaced.
+ * @param {object} [context] - ledger details: { actor }
+ * @returns {Promise<Date|null>} when the holds expire
+ * @throws {ExpressError} 409 when an item can no longer be held
+ */
+async function reserve(userId, items, context = {}) {
+    const minutes = holdMinutes();
+    if (!minutes) return null;
+
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    if (await extendHolds(userId, items, expiresAt)) return expiresAt;
+
+    await releaseHolds(userId, context);
+    const lines = await take(items, { ...context, reason: 'hold' });
+
+    await StockReservation.insertMany(lines.map(line => ({
+        user: userId,
+        product: line.product,
+        size: line.size,
+        color: line.color,
+        quantity: -line.delta,
+        movement: line.movement,
+        expiresAt
+    })));
+    return expiresAt;
+}
+
+/**
+ * Take the stock for an order being placed, using the shopper's holds first and the
+ * shelf for the rest. Holds left over (items since removed from the cart) are released.
+ * @param {object} context - ledger details: { order, actor }
+ * @throws {ExpressError} 409, with nothing taken, when an item can't be covered
+ */
+async function commit(userId, items, context = {}) {
+    const claimed = [];
+    const fromShelf = [];
+
+    for (const line of items.map(item => toLine(item, -1))) {
+        const wanted = -line.delta;
+        const hold = await StockReservation.findOneAndDelete({
+            user: userId,
+            product: line.product,
+            size: line.size,
+            color: line.color
+        });
+        const held = hold ? Math.min(hold.quantity, wanted) : 0;
+
+        if (hold) {
+            claimed.push({ hold, held });
+        }
+        if (wanted > held) {
+            fromShelf.push({ ...line, delta: held - wanted });
+        }
+    }
+
+    try {
+        await apply(fromShelf, { reason: 'sale', ...context });
+    } catch (err) {
+        // Nothing was sold: the claimed holds go back on the shelf
+        await Promise.all(claimed.map(({ hold }) => restore([hold], { reason: 'release', note: 'Order not placed' })));
+        throw err;
+    }
+
+    // Held stock is now sold: the hold's ledger line becomes the sale, and any part of
+    // the hold the order didn't need goes back on the shelf
+    for (const { hold, held } of claimed) {
+        if (held > 0 && hold.movement) {
+            await InventoryMovement.updateOne(
+                { _id: hold.movement },
+                { $set: { reason: 'sale', order: context.order, actor: context.actor || SYSTEM_ACTOR } }
+            );
+        }
+        if (hold.quantity > held) {
+            await restore([{ ...hold.toObject(), quantity: hold.quantity - held }], { reason: 'release', note: 'Not needed for the order' });
+        }
+    }
+    await releaseHolds(userId);
+}
+
+/**
+ * Put a cancelled or returned order's stock back. Only the first call for an order does
+ * anything, so a status changed twice can't restock twice, and only orders whose stock
+ * checkout actually took (stockTakenAt) are restocked.
+ * @param {object} [context] - ledger details: { reason (default 'cancellation'), actor, note }
+ * @returns {Promise<boolean>} whether stock was restored
+ */
+async function restoreOrder(order, context = {}) {
+    const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, stockTakenAt: { $ne: null }, stockRestoredAt: null },
+        { $set: { stockRestoredAt: new Date() } }
+    );
+    if (!claimed) return false;
+
+    await restore(claimed.items, { reason: 'cancellation', order: order._id, ...context });
+    return true;
+}
+
+// Release expired checkout holds every SWEEP_MINUTES (only when holds are enabled)
+function startSchedule() {
+    if (timer || !holdMinutes()) return;
+
+    const run = () => releaseExpired()
+        .then(released => {
+            if (released > 0) {
+                console.log(`Stock holds released: ${released}`);
+            }
+        })
+        .catch(error => console.error('Stock hold release error:', error));
+
+    run();
+    timer = setInterval(run, SWEEP_MINUTES * 60 * 1000);
+    timer.unref();
+}
+
+module.exports = {
+    holdMinutes,
+    actor,
+    take,
+    restore,
+    adjust,
+    stockLevels,
+    stockRows,
+    readAdjustment,
+    recordLevels,
+    updateRows,
+    holdKey,
+    heldBy,
+    reserve,
+    commit,
+    releaseHolds,
+    releaseExpired,
+    restoreOrder,
+    startSchedule
+};
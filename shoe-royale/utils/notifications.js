@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const Notification = require('../models/Notification');
+
+// Outbound customer notifications. queue() stores messages as Notification documents
+// and a delivery run hands them to the active transport; failed sends are retried on
+// the next run, up to MAX_ATTEMPTS. NOTIFICATION_TRANSPORT names the transport
+// (default 'outbox', which writes each message to a file instead of sending it).
+
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 50;
+const DEFAULT_DELIVERY_MINUTES = 5;
+
+const transports = new Map();
+
+let running = null;
+let timer = null;
+
+/**
+ * Make a transport available under NOTIFICATION_TRANSPORT=<name>.
+ * @param {string} name
+ * @param {{ send: function(object): Promise }} transport - send() throws when delivery fails
+ */
+function registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error(`Notification transport "${name}" needs a send() function`);
+    }
+    transports.set(name, transport);
+}
+
+function activeTransport() {
+    const name = process.env.NOTIFICATION_TRANSPORT || 'outbox';
+    const transport = transports.get(name);
+
+    if (!transport) {
+        throw new Error(`Unknown notification transport "${name}"`);
+    }
+    return { name, transport };
+}
+
+// Development transport: one JSON file per message in NOTIFICATION_OUTBOX_DIR (default ./outbox)
+registerTransport('outbox', {
+    async send(notification) {
+        const dir = process.env.NOTIFICATION_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        const file = path.join(dir, `${Date.now()}-${notification.type}-${notification._id}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({
+            to: notification.to,
+            subject: notification.subject,
+            body: notification.body,
+            type: notification.type,
+            data: notification.data,
+            queuedAt: notification.createdAt
+        }, null, 2));
+    }
+});
+
+// Send the oldest queued notifications through the active transport
+async function deliverQueued() {
+    const { name, transport } = activeTransport();
+    const pending = await Notification.find({ status: 'queued' })
+        .sort({ createdAt: 1 })
+        .limit(BATCH_SIZE);
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const notification of pending) {
+        notification.attempts += 1;
+
+        try {
+            await transport.send(notification);
+            notification.status = 'sent';
+            notification.sentAt = new Date();
+            notification.transport = name;
+            notification.lastError = undefined;
+            sent++;
+        } catch (error) {
+            notification.lastError = error.message;
+            if (notification.attempts >= MAX_ATTEMPTS) {
+                notification.status = 'failed';
+            }
+            failed++;
+        }
+
+        await notification.save();
+    }
+
+    return { sent, failed };
+}
+
+// deliverQueued(), but never two at once
+function deliver() {
+    if (!running) {
+        running = deliverQueued().finally(() => {
+            running = null;
+        });
+    }
+    return running;
+}
+
+/**
+ * Queue messages and start delivering them in the background.
+ * @param {Array<{ user, type, to, subject, body, data }>} messages
+ * @returns {Promise<Array>} the saved Notification documents
+ */
+async function queue(messages) {
+    if (messages.length === 0) return [];
+
+    const saved = await Notification.insertMany(messages);
+
+    deliver().catch(error => console.error('Notification delivery error:', error));
+    return saved;
+}
+
+// Retry whatever is still queued every NOTIFICATION_DELIVERY_MINUTES (default 5)
+function startDelivery() {
+    if (timer) return;
+
+    const minutes = parseFloat(process.env.NOTIFICATION_DELIVERY_MINUTES) || DEFAULT_DELIVERY_MINUTES;
+    const run = () => deliver()
+        .then(result => {
+            if (result.sent || result.failed) {
+                console.log(`Notifications delivered: ${result.sent} sent, ${result.failed} failed`);
+            }
+        })
+        .catch(error => console.error('Notification delivery error:', error));
+
+    run();
+    timer = setInterval(run, minutes * 60 * 1000);
+    timer.unref();
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    registerTransport,
+    queue,
+    deliver,
+    startDelivery
+};
@@ -0,0 +1,134 @@
+const Order = require('../models/Order');
+const inventory = require('./inventory');
+const coupons = require('./coupons');
+const ExpressError = require('./ExpressError');
+
+// Order lifecycle: processing → packed → shipped → delivered. Orders can be cancelled
+// until they ship, and returned once shipped or delivered. Every change is appended to
+// the order's statusHistory; cancelling or returning an order puts its items back in stock
+// and gives back the coupon use it claimed.
+
+const TRANSITIONS = {
+    processing: ['packed', 'cancelled'],
+    packed: ['shipped', 'cancelled'],
+    shipped: ['delivered', 'returned'],
+    delivered: ['returned'],
+    cancelled: [],
+    returned: []
+};
+
+// The regular path, shown as the steps of the customer's timeline
+const FULFILMENT_STEPS = ['processing', 'packed', 'shipped', 'delivered'];
+
+// Statuses a customer can still cancel their own order from
+const CUSTOMER_CANCELLABLE = ['processing'];
+
+const RESTOCK_REASONS = {
+    cancelled: 'cancellation',
+    returned: 'return'
+};
+
+function nextStatuses(status) {
+    return TRANSITIONS[status] || [];
+}
+
+function canTransition(from, to) {
+    return nextStatuses(from).includes(to);
+}
+
+function canCustomerCancel(order) {
+    return CUSTOMER_CANCELLABLE.includes(order.orderStatus);
+}
+
+/**
+ * First statusHistory entry for a new order.
+ * @param {object} actor - see inventory.actor()
+ */
+function placedEntry(actor) {
+    return { status: 'processing', actor, note: 'Order placed' };
+}
+
+/**
+ * Move an order to `to`. The update only matches while the order is still in the status
+ * it was loaded with, so two admins can't both act on the same order.
+ * @param {object} order - the Order as loaded
+ * @param {string} to - one of Order.STATUSES
+ * @param {object} [context] - { actor, note, trackingNumber }
+ * @returns {Promise<object>} the updated Order
+ * @throws {ExpressError} 409 when the change isn't allowed or the order changed meanwhile
+ */
+async function transition(order, to, context = {}) {
+    const from = order.orderStatus;
+
+    if (!canTransition(from, to)) {
+        throw new ExpressError(409, `An order that is ${Order.STATUS_LABELS[from] || from} can't be marked ${Order.STATUS_LABELS[to] || to}`);
+    }
+
+    const actor = context.actor || inventory.actor(null);
+    const entry = { status: to, at: new Date(), actor, note: context.note || undefined };
+    const set = { orderStatus: to };
+    if (context.trackingNumber) {
+        set.trackingNumber = context.trackingNumber;
+    }
+
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, orderStatus: from },
+        { $set: set, $push: { statusHistory: entry } },
+        { new: true, runValidators: true }
+    );
+    if (!updated) {
+        throw new ExpressError(409, 'This order has just been updated by someone else. Please check its status and try again.');
+    }
+
+    if (RESTOCK_REASONS[to]) {
+        await inventory.restoreOrder(updated, {
+            reason: RESTOCK_REASONS[to],
+            actor,
+            note: context.note || undefined
+        });
+        await coupons.releaseOrder(updated);
+    }
+    return updated;
+}
+
+/**
+ * Steps for the customer's order timeline: the fulfilment steps with when each was
+ * reached, followed by the cancellation or return when there is one. Orders from before
+ * the history was kept show only their current status.
+ * @returns {Array<{ status, label, at, done, current }>}
+ */
+function timeline(order) {
+    const history = order.statusHistory && order.statusHistory.length > 0
+        ? order.statusHistory
+        : [{ status: 'processing', at: order.createdAt }].concat(order.orderStatus === 'processing' ? [] : [{ status: order.orderStatus }]);
+    const reached = new Map();
+    history.forEach(entry => reached.set(entry.status, entry));
+
+    const closed = RESTOCK_REASONS[order.orderStatus] ? order.orderStatus : null;
+    const steps = FULFILMENT_STEPS
+        .filter(status => !closed || reached.has(status))
+        .concat(closed ? [closed] : []);
+
+    const current = steps.indexOf(order.orderStatus);
+
+    return steps.map((status, index) => {
+        const entry = reached.get(status);
+        return {
+            status,
+            label: Order.STATUS_LABELS[status],
+            at: entry ? entry.at : null,
+            done: index <= current,
+            current: index === current
+        };
+    });
+}
+
+module.exports = {
+    TRANSITIONS,
+    nextStatuses,
+    canTransition,
+    canCustomerCancel,
+    placedEntry,
+    transition,
+    timeline
+};
@@ -0,0 +1,64 @@
+// Page-based pagination shared by the storefront listing routes
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 60;
+
+// Read ?page= and ?limit= (clamped so a client can't ask for the whole catalogue)
+function parsePagination(query, defaultLimit = DEFAULT_LIMIT) {
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || defaultLimit));
+
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+// What the view and the JSON API report about the current page
+function buildPageInfo({ page, limit, skip }, total, hasMore) {
+    return {
+        page,
+        limit,
+        skip,
+        total,
+        totalPages: total === null ? null : Math.max(1, Math.ceil(total / limit)),
+        hasMore,
+        nextPage: hasMore ? page + 1 : null
+    };
+}
+
+// One page of a Mongoose query. Fetches one extra document to know whether another page
+// exists, and only counts the whole result set when the caller needs a total.
+async function paginateQuery(model, filter, sort, pagination, { withTotal = true } = {}) {
+    const [docs, total] = await Promise.all([
+        // _id as a tie-breaker keeps skip/limit pages stable when sort values repeat
+        model.find(filter).sort({ ...sort, _id: 1 }).skip(pagination.skip).limit(pagination.limit + 1),
+        withTotal ? model.countDocuments(filter) : null
+    ]);
+
+    const hasMore = docs.length > pagination.limit;
+    return {
+        items: docs.slice(0, pagination.limit),
+        pageInfo: buildPageInfo(pagination, total, hasMore)
+    };
+}
+
+// One page of a list that is already fully in memory (e.g. ids ranked by the search index)
+function paginateArray(list, pagination) {
+    return {
+        items: list.slice(pagination.skip, pagination.skip + pagination.limit),
+        pageInfo: buildPageInfo(pagination, list.length, pagination.skip + pagination.limit < list.length)
+    };
+}
+
+// fetch() from main.js asks for JSON; regular page loads prefer HTML
+function wantsJson(req) {
+    return req.query.format === 'json' || req.accepts(['html', 'json']) === 'json';
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parsePagination,
+    buildPageInfo,
+    paginateQuery,
+    paginateArray,
+    wantsJson
+};
@@ -0,0 +1,157 @@
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const notifications = require('./notifications');
+
+// Wishlist price-drop alerts. Wishlist items keep the price the product had when it was
+// saved; this job compares those snapshots with current Product prices, flags the items
+// that got cheaper (the wishlist shows a "Price dropped" badge) and queues one
+// notification per shopper listing the new drops. Each lower price is announced once.
+
+const DEFAULT_INTERVAL_HOURS = 6;
+
+let running = null;
+let timer = null;
+
+// What the shopper pays: the discount price when there is one
+function effectivePrice(item) {
+    return item.discountPrice && item.discountPrice < item.price ? item.discountPrice : item.price;
+}
+
+function formatPrice(amount) {
+    return `₹${amount.toFixed(2)}`;
+}
+
+// Update one wishlist's price-drop flags; returns the drops the shopper hasn't heard about
+function applyPrices(wishlist, productsById) {
+    const newDrops = [];
+
+    wishlist.items.forEach(item => {
+        const product = productsById.get(item.product.toString());
+        if (!product) return;
+
+        const savedPrice = effectivePrice(item);
+        const currentPrice = effectivePrice(product);
+
+        if (currentPrice < savedPrice) {
+            if (item.priceDrop?.currentPrice !== currentPrice) {
+                item.priceDrop = { previousPrice: savedPrice, currentPrice, detectedAt: new Date() };
+            }
+            if (!item.notifiedPrice || currentPrice < item.notifiedPrice) {
+                item.notifiedPrice = currentPrice;
+                newDrops.push({ name: product.name, previousPrice: savedPrice, currentPrice });
+            }
+        } else if (item.priceDrop?.currentPrice) {
+            // Back at (or above) the saved price: a later drop gets announced again
+            item.priceDrop = undefined;
+            item.notifiedPrice = undefined;
+        }
+    });
+
+    return newDrops;
+}
+
+function dropMessage(user, drops, siteUrl) {
+    const lines = drops.map(drop =>
+        `- ${drop.name}: now ${formatPrice(drop.currentPrice)} ` +
+        `(was ${formatPrice(drop.previousPrice)}, you save ${formatPrice(drop.previousPrice - drop.currentPrice)})`
+    );
+    const url = `${siteUrl}/products/wishlist/view`;
+
+    return {
+        user: user._id,
+        type: 'price-drop',
+        to: user.email,
+        subject: drops.length === 1
+            ? `Price drop: ${drops[0].name}`
+            : `Price drops on ${drops.length} items in your wishlist`,
+        body: `Hi ${user.name},\n\n` +
+            'Good news - items in your Royal Footwear wishlist just got cheaper:\n\n' +
+            `${lines.join('\n')}\n\n` +
+            `See your wishlist: ${url}`,
+        data: { drops, url }
+    };
+}
+
+// Compare every wishlist with current prices and queue the notifications
+async function checkPrices() {
+    const startedAt = Date.now();
+
+    const productIds = await Wishlist.distinct('items.product');
+    const products = await Product.find({ _id: { $in: productIds } }).select('name price discountPrice');
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const pending = [];
+    let wishlists = 0;
+    let failed = 0;
+
+    // A wishlist that can't be saved (e.g. edited by its owner mid-run) is skipped and
+    // checked again on the next run. Wishlists with new drops are only saved once their
+    // notification is queued, so a failed queue leaves the drops to announce next time.
+    const save = async wishlist => {
+        try {
+            if (wishlist.isModified()) {
+                await wishlist.save();
+            }
+        } catch (error) {
+            failed++;
+            console.error(`Price watch error on wishlist ${wishlist._id}:`, error);
+        }
+    };
+
+    for await (const wishlist of Wishlist.find({ 'items.0': { $exists: true } }).cursor()) {
+        wishlists++;
+        const drops = applyPrices(wishlist, productsById);
+
+        if (drops.length > 0) {
+            pending.push({ wishlist, drops });
+        } else {
+            await save(wishlist);
+        }
+    }
+
+    const dropsByUser = new Map(pending.map(({ wishlist, drops }) => [wishlist.user.toString(), drops]));
+    const users = dropsByUser.size > 0
+        ? await User.find({ _id: { $in: [...dropsByUser.keys()] } }).select('name email')
+        : [];
+    const siteUrl = process.env.SITE_URL || '';
+
+    await notifications.queue(users.map(user => dropMessage(user, dropsByUser.get(user._id.toString()), siteUrl)));
+
+    for (const { wishlist } of pending) {
+        await save(wishlist);
+    }
+
+    return { wishlists, failed, notified: users.length, durationMs: Date.now() - startedAt };
+}
+
+// checkPrices(), but never two at once
+function refresh() {
+    if (!running) {
+        running = checkPrices().finally(() => {
+            running = null;
+        });
+    }
+    return running;
+}
+
+// Check now and then every PRICE_WATCH_INTERVAL_HOURS (default 6)
+function startSchedule() {
+    if (timer) return;
+
+    const hours = parseFloat(process.env.PRICE_WATCH_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS;
+    const run = () => refresh()
+        .then(result => console.log(`Price watch checked ${result.wishlists} wishlist(s), notified ${result.notified} shopper(s) in ${result.durationMs}ms`))
+        .catch(error => console.error('Price watch error:', error));
+
+    run();
+    timer = setInterval(run, hours * 60 * 60 * 1000);
+    timer.unref();
+}
+
+module.exports = {
+    effectivePrice,
+    checkPrices,
+    refresh,
+    startSchedule
+};
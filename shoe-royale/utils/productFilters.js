@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+
+// Storefront listing filters and facet counts for /products
+
+// Price ranges offered as a facet (on the price the shopper actually pays)
+const PRICE_BUCKETS = [
+    { id: '0-1000', label: 'Under ₹1,000', min: 0, max: 1000 },
+    { id: '1000-2500', label: '₹1,000 - ₹2,500', min: 1000, max: 2500 },
+    { id: '2500-5000', label: '₹2,500 - ₹5,000', min: 2500, max: 5000 },
+    { id: '5000-', label: 'Over ₹5,000', min: 5000, max: null }
+];
+
+// discountPrice when it is set and lower, otherwise price
+const EFFECTIVE_PRICE = {
+    $cond: [
+        { $and: [{ $gt: ['$discountPrice', 0] }, { $lt: ['$discountPrice', '$price'] }] },
+        '$discountPrice',
+        '$price'
+    ]
+};
+
+const ON_DISCOUNT = {
+    $and: [{ $gt: ['$discountPrice', 0] }, { $lt: ['$discountPrice', '$price'] }]
+};
+
+// Query params can be repeated (brand=Nike&brand=Puma) or single
+function toArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : [value]).filter(v => v !== '');
+}
+
+// Read the selected facet values from the query string
+function parseSelection(query) {
+    return {
+        category: toArray(query.category),
+        brand: toArray(query.brand),
+        size: toArray(query.size).map(parseFloat).filter(size => !isNaN(size)),
+        color: toArray(query.color),
+        price: toArray(query.price).filter(id => PRICE_BUCKETS.some(bucket => bucket.id === id)),
+        discount: query.discount === 'true' ? true : (query.discount === 'false' ? false : null),
+        inStock: query.inStock === 'true'
+    };
+}
+
+/**
+ * Build the MongoDB filter for a listing request.
+ * @param {object} query - req.query
+ * @param {object} [options]
+ * @param {string[]} [options.searchIds] - ids matched by the search index
+ * @param {string} [options.exclude] - facet to leave out (for its own counts)
+ */
+function buildFilter(query, options = {}) {
+    const selection = parseSelection(query);
+    const exclude = options.exclude;
+    const clauses = [];
+    
+    if (options.searchIds) {
+        clauses.push({ _id: { $in: options.searchIds.map(id => new mongoose.Types.ObjectId(id)) } });
+    }
+    
+    if (selection.category.length > 0 && exclude !== 'category') {
+        clauses.push({ category: { $in: selection.category } });
+    }
+    
+    if (selection.brand.length > 0 && exclude !== 'brand') {
+        clauses.push({ brand: { $in: selection.brand } });
+    }
+    
+    const sizes = exclude === 'size' ? [] : selection.size;
+    const colors = exclude === 'color' ? [] : selection.color;
+    
+    if (sizes.length > 0 && colors.length > 0) {
+        // Both picked: the size must be in stock in one of the picked colors
+        clauses.push({
+            $or: [
+                { variants: { $elemMatch: { size: { $in: sizes }, color: { $in: colors }, stock: { $gt: 0 } } } },
+                {
+                    'variants.0': { $exists: false },
+                    sizes: { $elemMatch: { size: { $in: sizes }, quantity: { $gt: 0 } } },
+                    'colors.name': { $in: colors }
+                }
+            ]
+        });
+    } else if (sizes.length > 0) {
+        clauses.push({ sizes: { $elemMatch: { size: { $in: sizes }, quantity: { $gt: 0 } } } });
+    } else if (colors.length > 0) {
+        clauses.push({ 'colors.name': { $in: colors } });
+    }
+    
+    if (selection.price.length > 0 && exclude !== 'price') {
+        clauses.push({
+            $or: selection.price.map(id => {
+                const bucket = PRICE_BUCKETS.find(b => b.id === id);
+                const range = [{ $gte: [EFFECTIVE_PRICE, bucket.min] }];
+                if (bucket.max !== null) {
+                    range.push({ $lt: [EFFECTIVE_PRICE, bucket.max] });
+                }
+                return { $expr: { $and: range } };
+            })
+        });
+    }
+    
+    if (query.minPrice || query.maxPrice) {
+        const range = {};
+        if (query.minPrice) range.$gte = parseFloat(query.minPrice);
+        if (query.maxPrice) range.$lte = parseFloat(query.maxPrice);
+        clauses.push({ price: range });
+    }
+    
+    if (selection.discount !== null && exclude !== 'discount') {
+        clauses.push({ $expr: selection.discount ? ON_DISCOUNT : { $not: [ON_DISCOUNT] } });
+    }
+    
+    if (selection.inStock && exclude !== 'availability') {
+        clauses.push({ 'sizes.quantity': { $gt: 0 } });
+    }
+    
+    if (query.featured === 'true') {
+        clauses.push({ featured: true });
+    }
+    
+    return clauses.length > 0 ? { $and: clauses } : {};
+}
+
+/**
+ * Count matching products per facet value for the current filter set.
+ * Each facet ignores its own selection so multi-select keeps showing
+ * the alternatives (brand=Nike still shows how many Puma there are).
+ */
+async function getFacets(query, options = {}) {
+    const Product = mongoose.model('Product');
+    const selection = parseSelection(query);
+    const matchWithout = (facet) => ({ $match: buildFilter(query, { ...options, exclude: facet }) });
+    
+    const [result] = await Product.aggregate([
+        {
+            $facet: {
+                category: [
+                    matchWithout('category'),
+                    { $group: { _id: '$category', count: { $sum: 1 } } },
+                    { $sort: { _id: 1 } }
+                ],
+                brand: [
+                    matchWithout('brand'),
+                    { $group: { _id: '$brand', count: { $sum: 1 } } },
+                    { $sort: { _id: 1 } }
+                ],
+                size: [
+                    matchWithout('size'),
+                    { $unwind: '$sizes' },
+                    { $match: { 'sizes.quantity': { $gt: 0 } } },
+                    { $group: { _id: '$sizes.size', products: { $addToSet: '$_id' } } },
+                    { $project: { count: { $size: '$products' } } },
+                    { $sort: { _id: 1 } }
+                ],
+                color: [
+                    matchWithout('color'),
+                    { $unwind: '$colors' },
+                    { $group: { _id: '$colors.name', code: { $first: '$colors.code' }, products: { $addToSet: '$_id' } } },
+                    { $project: { code: 1, count: { $size: '$products' } } },
+                    { $sort: { _id: 1 } }
+                ],
+                price: [
+                    matchWithout('price'),
+                    {
+                        $bucket: {
+                            groupBy: EFFECTIVE_PRICE,
+                            boundaries: [...PRICE_BUCKETS.map(bucket => bucket.min), Number.MAX_SAFE_INTEGER],
+                            default: 'other',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ],
+                discount: [
+                    matchWithout('discount'),
+                    { $group: { _id: ON_DISCOUNT, count: { $sum: 1 } } }
+                ],
+                availability: [
+                    matchWithout('availability'),
+                    { $group: { _id: { $gt: [{ $sum: '$sizes.quantity' }, 0] }, count: { $sum: 1 } } }
+                ]
+            }
+        }
+    ]);
+    
+    // Product.category holds slugs; facets show the category's name
+    const categoryNames = await mongoose.model('Category').getNameMap();
+    
+    const countFor = (rows, id) => {
+        const row = rows.find(r => r._id === id);
+        return row ? row.count : 0;
+    };
+    
+    return {
+        category: result.category.map(row => ({
+            value: row._id,
+            label: categoryNames.get(row._id),
+            count: row.count,
+            selected: selection.category.includes(row._id)
+        })),
+        brand: result.brand.map(row => ({
+            value: row._id,
+            count: row.count,
+            selected: selection.brand.includes(row._id)
+        })),
+        size: result.size.map(row => ({
+            value: row._id,
+            count: row.count,
+            selected: selection.size.includes(row._id)
+        })),
+        color: result.color.map(row => ({
+            value: row._id,
+            code: row.code,
+            count: row.count,
+            selected: selection.color.includes(row._id)
+        })),
+        price: PRICE_BUCKETS.map(bucket => ({
+            value: bucket.id,
+            label: bucket.label,
+            count: countFor(result.price, bucket.min),
+            selected: selection.price.includes(bucket.id)
+        })),
+        discount: [
+            { value: 'true', label: 'On sale', count: countFor(result.discount, true), selected: selection.discount === true },
+            { value: 'false', label: 'Full price', count: countFor(result.discount, false), selected: selection.discount === false }
+        ],
+        availability: [
+            { value: 'true', label: 'In stock only', count: countFor(result.availability, true), selected: selection.inStock }
+        ]
+    };
+}
+
+module.exports = {
+    PRICE_BUCKETS,
+    buildFilter,
+    getFacets,
+    parseSelection
+};
@@ -0,0 +1,47 @@
+// Responses shared by the storefront listing pages (/products, categories, brands)
+
+const Product = require('../models/Product');
+
+// What the JSON endpoints send about a product for a card or strip
+function productCardData(product) {
+    return {
+        _id: product._id,
+        name: product.name,
+        brand: product.brand,
+        category: product.category,
+        price: product.price,
+        discountPrice: product.discountPrice,
+        rating: product.rating,
+        reviewsCount: product.reviewsCount,
+        image: product.colors?.[0]?.images?.[0]?.url || '/images/default-shoe.jpg',
+        url: Product.urlFor(product),
+        sale: product.activeSale && product.activeSale.sale
+            ? { name: product.activeSale.name, endsAt: product.activeSale.endsAt }
+            : null
+    };
+}
+
+// JSON page for infinite scroll: card data plus the same card markup the listing renders
+function sendProductPage(res, products, pageInfo) {
+    res.render('partials/product-cards', { layout: false, products }, (err, html) => {
+        if (err) {
+            console.error('Product cards render error:', err);
+            return res.status(500).json({
+                success: false,
+                message: 'Error loading products'
+            });
+        }
+
+        res.json({
+            success: true,
+            products: products.map(productCardData),
+            html,
+            pagination: pageInfo
+        });
+    });
+}
+
+module.exports = {
+    productCardData,
+    sendProductPage
+};
@@ -0,0 +1,96 @@
+const User = require('../models/User');
+const Product = require('../models/Product');
+
+// Recently viewed products. Guests' views live in the session; logged-in shoppers'
+// views are stored on the User, and the guest list is merged in when they sign in.
+// Lists are newest first and keep MAX_ITEMS products viewed within RETENTION_DAYS.
+
+const MAX_ITEMS = 20;
+const RETENTION_DAYS = 90;
+
+// Newest view per product, oldest and expired entries dropped
+function normalize(entries) {
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const seen = new Set();
+
+    return entries
+        .filter(entry => entry && entry.product && new Date(entry.viewedAt).getTime() >= cutoff)
+        .sort((a, b) => new Date(b.viewedAt) - new Date(a.viewedAt))
+        .filter(entry => {
+            const id = entry.product.toString();
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        })
+        .slice(0, MAX_ITEMS)
+        .map(entry => ({ product: entry.product.toString(), viewedAt: new Date(entry.viewedAt) }));
+}
+
+// The guest list from the session (read it before req.login(), which regenerates the session)
+function fromSession(req) {
+    return normalize(req.session.recentlyViewed || []);
+}
+
+function entriesFor(req) {
+    return req.user ? normalize(req.user.recentlyViewed || []) : fromSession(req);
+}
+
+async function saveFor(req, entries) {
+    if (req.user) {
+        await User.updateOne({ _id: req.user._id }, { $set: { recentlyViewed: entries } });
+        req.user.recentlyViewed = entries;
+    } else {
+        req.session.recentlyViewed = entries;
+    }
+}
+
+// Record a product page view
+async function record(req, productId) {
+    const entries = normalize([{ product: productId, viewedAt: new Date() }, ...entriesFor(req)]);
+    await saveFor(req, entries);
+}
+
+// Fold a guest list into the user's own list after they log in or register
+async function mergeIntoUser(user, guestEntries) {
+    if (!guestEntries || guestEntries.length === 0) return;
+
+    const entries = normalize([...guestEntries, ...(user.recentlyViewed || [])]);
+    await User.updateOne({ _id: user._id }, { $set: { recentlyViewed: entries } });
+    user.recentlyViewed = entries;
+}
+
+async function clear(req) {
+    await saveFor(req, []);
+}
+
+/**
+ * Recently viewed Product documents, newest first.
+ * @param {object} req
+ * @param {object} [options]
+ * @param {string} [options.exclude] - product id to leave out (the page being viewed)
+ * @param {number} [options.limit]
+ */
+async function getProducts(req, options = {}) {
+    const limit = Math.min(options.limit || MAX_ITEMS, MAX_ITEMS);
+    const ids = entriesFor(req)
+        .map(entry => entry.product)
+        .filter(id => id !== String(options.exclude || ''));
+
+    if (ids.length === 0) return [];
+
+    const found = await Product.find({ _id: { $in: ids } });
+    const byId = new Map(found.map(product => [product._id.toString(), product]));
+
+    // Deleted products just drop out
+    return ids.map(id => byId.get(id)).filter(Boolean).slice(0, limit);
+}
+
+module.exports = {
+    MAX_ITEMS,
+    RETENTION_DAYS,
+    fromSession,
+    record,
+    mergeIntoUser,
+    clear,
+    getProducts
+};
@@ -0,0 +1,151 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Wishlist = require('../models/Wishlist');
+const Recommendation = require('../models/Recommendation');
+
+// "Customers also bought" recommendations from purchase history.
+// Products bought in the same order score one point per order; when a product has
+// too few of those, products saved in the same wishlists fill the remaining slots.
+// Results are stored in the Recommendation collection and refreshed on a schedule.
+
+const MAX_RECOMMENDATIONS = 8;
+const DEFAULT_REFRESH_HOURS = 6;
+
+// Orders in these states don't count as purchases
+const EXCLUDED_ORDER_STATUSES = ['cancelled', 'returned'];
+
+let running = null;
+let timer = null;
+
+// Pair up the distinct products in each document's items array and count how many
+// documents each pair appears in. Returns Map(productId -> [{ product, score }]).
+async function coOccurrence(model, match) {
+    const rows = await model.aggregate([
+        { $match: match },
+        { $project: { products: { $setUnion: ['$items.product', []] } } },
+        { $match: { 'products.1': { $exists: true } } },
+        { $project: { product: '$products', other: '$products' } },
+        { $unwind: '$product' },
+        { $unwind: '$other' },
+        { $match: { $expr: { $ne: ['$product', '$other'] } } },
+        { $group: { _id: { product: '$product', other: '$other' }, score: { $sum: 1 } } },
+        { $sort: { '_id.product': 1, score: -1, '_id.other': 1 } },
+        { $group: { _id: '$_id.product', items: { $push: { product: '$_id.other', score: '$score' } } } },
+        { $project: { items: { $slice: ['$items', MAX_RECOMMENDATIONS] } } }
+    ]).allowDiskUse(true);
+
+    return new Map(rows.map(row => [row._id.toString(), row.items]));
+}
+
+// Order co-occurrence first, topped up from wishlists
+function mergeLists(fromOrders = [], fromWishlists = []) {
+    const items = fromOrders.map(item => ({ ...item, source: 'orders' }));
+    const seen = new Set(items.map(item => item.product.toString()));
+
+    for (const item of fromWishlists) {
+        if (items.length >= MAX_RECOMMENDATIONS) break;
+        if (seen.has(item.product.toString())) continue;
+        seen.add(item.product.toString());
+        items.push({ ...item, source: 'wishlists' });
+    }
+
+    return items;
+}
+
+// Recompute every product's recommendations and replace the stored ones
+async function recompute() {
+    const startedAt = new Date();
+
+    const [byOrders, byWishlists] = await Promise.all([
+        coOccurrence(Order, { orderStatus: { $nin: EXCLUDED_ORDER_STATUSES } }),
+        coOccurrence(Wishlist, {})
+    ]);
+
+    const productIds = new Set([...byOrders.keys(), ...byWishlists.keys()]);
+    const operations = [...productIds].map(productId => ({
+        updateOne: {
+            filter: { product: productId },
+            update: {
+                $set: {
+                    items: mergeLists(byOrders.get(productId), byWishlists.get(productId)),
+                    computedAt: startedAt
+                }
+            },
+            upsert: true
+        }
+    }));
+
+    if (operations.length > 0) {
+        await Recommendation.bulkWrite(operations, { ordered: false });
+    }
+
+    // Products nobody bought alongside anything any more
+    await Recommendation.deleteMany({ computedAt: { $lt: startedAt } });
+
+    return { products: operations.length, durationMs: Date.now() - startedAt.getTime() };
+}
+
+// recompute(), but never two at once
+function refresh() {
+    if (!running) {
+        running = recompute().finally(() => {
+            running = null;
+        });
+    }
+    return running;
+}
+
+// Recompute now and then every RECOMMENDATIONS_REFRESH_HOURS (default 6)
+function startSchedule() {
+    if (timer) return;
+
+    const hours = parseFloat(process.env.RECOMMENDATIONS_REFRESH_HOURS) || DEFAULT_REFRESH_HOURS;
+    const run = () => refresh()
+        .then(result => console.log(`Recommendations refreshed for ${result.products} product(s) in ${result.durationMs}ms`))
+        .catch(error => console.error('Recommendations refresh error:', error));
+
+    run();
+    timer = setInterval(run, hours * 60 * 60 * 1000);
+    timer.unref();
+}
+
+/**
+ * Stored recommendations for a product, as Product documents in score order.
+ * Deleted products are skipped, and out-of-stock ones unless options.includeOutOfStock.
+ * @param {string} productId
+ * @param {object} [options]
+ * @param {number} [options.limit]
+ * @param {boolean} [options.includeOutOfStock]
+ */
+async function getRecommendations(productId, options = {}) {
+    const limit = Math.min(options.limit || 4, MAX_RECOMMENDATIONS);
+    const stored = await Recommendation.findOne({ product: productId }).lean();
+
+    if (!stored || stored.items.length === 0) {
+        return { products: [], computedAt: stored ? stored.computedAt : null };
+    }
+
+    const filter = { _id: { $in: stored.items.map(item => item.product) } };
+    if (!options.includeOutOfStock) {
+        filter['sizes.quantity'] = { $gt: 0 };
+    }
+
+    const found = await Product.find(filter);
+    const byId = new Map(found.map(product => [product._id.toString(), product]));
+
+    return {
+        products: stored.items
+            .map(item => byId.get(item.product.toString()))
+            .filter(Boolean)
+            .slice(0, limit),
+        computedAt: stored.computedAt
+    };
+}
+
+module.exports = {
+    MAX_RECOMMENDATIONS,
+    recompute,
+    refresh,
+    startSchedule,
+    getRecommendations
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Sorting and filtering for the reviews on a product page (and its JSON endpoint)
+
+const REVIEW_SORTS = {
+    newest: { label: 'Newest', sort: { createdAt: -1 } },
+    oldest: { label: 'Oldest', sort: { createdAt: 1 } },
+    highest: { label: 'Highest rated', sort: { rating: -1, createdAt: -1 } },
+    lowest: { label: 'Lowest rated', sort: { rating: 1, createdAt: -1 } }
+};
+
+const DEFAULT_SORT = 'newest';
+const REVIEWS_PER_PAGE = 10;
+
+// Query params can be repeated (rating=5&rating=4) or single
+function toArray(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : [value]).filter(v => v !== '');
+}
+
+// Read ?sort=, ?rating=, ?fit= and ?photos= into a normalized selection
+function parseReviewQuery(query, fitOptions) {
+    return {
+        sort: REVIEW_SORTS[query.sort] ? query.sort : DEFAULT_SORT,
+        rating: toArray(query.rating).map(value => parseInt(value)).filter(stars => stars >= 1 && stars <= 5),
+        fit: toArray(query.fit).filter(value => fitOptions.includes(value)),
+        photos: query.photos === 'true'
+    };
+}
+
+// Approved reviews of one product, narrowed to the selection
+function buildReviewFilter(productId, selection) {
+    const filter = {
+        product: new mongoose.Types.ObjectId(productId),
+        status: 'approved'
+    };
+
+    if (selection.rating.length > 0) {
+        filter.rating = { $in: selection.rating };
+    }
+    if (selection.fit.length > 0) {
+        filter.fit = { $in: selection.fit };
+    }
+    if (selection.photos) {
+        filter['photos.0'] = { $exists: true };
+    }
+
+    return filter;
+}
+
+function sortFor(selection) {
+    return REVIEW_SORTS[selection.sort].sort;
+}
+
+module.exports = {
+    REVIEW_SORTS,
+    DEFAULT_SORT,
+    REVIEWS_PER_PAGE,
+    parseReviewQuery,
+    buildReviewFilter,
+    sortFor
+};
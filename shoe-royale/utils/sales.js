@@ -0,0 +1,165 @@
+const Sale = require('../models/Sale');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const PriceHistory = require('../models/PriceHistory');
+const searchIndex = require('./searchIndex');
+
+// Scheduled sales. While a sale runs, applySales() writes the sale price into the
+// matching products' discountPrice, so carts, orders, listings and wishlist price alerts
+// all pick it up, and keeps each product's own discount in activeSale to restore when
+// the sale ends. When sales overlap the lowest price wins, and a sale never raises a
+// price the product's own discount already beats. Every change is logged to PriceHistory.
+
+const DEFAULT_CHECK_MINUTES = 1;
+
+let running = null;
+let timer = null;
+
+// The product's discountPrice outside any sale
+function regularDiscountPrice(product) {
+    return product.activeSale && product.activeSale.sale
+        ? product.activeSale.regularDiscountPrice
+        : product.discountPrice;
+}
+
+// What the product sells for without a sale
+function regularPrice(product) {
+    const discount = regularDiscountPrice(product);
+    return discount && discount < product.price ? discount : product.price;
+}
+
+// Live sales with the Product filter they cover and a matches(product) test.
+// Category sales cover subcategories too.
+async function withMatchers(sales) {
+    return Promise.all(sales.map(async sale => {
+        if (sale.scope === 'product') {
+            const ids = new Set(sale.products.map(id => id.toString()));
+            return { sale, filter: { _id: { $in: sale.products } }, matches: product => ids.has(product._id.toString()) };
+        }
+
+        if (sale.scope === 'category') {
+            const slugs = new Set(sale.categories);
+            (await Promise.all(sale.categories.map(slug => Category.getSubtreeSlugs(slug))))
+                .forEach(subtree => subtree.forEach(slug => slugs.add(slug)));
+            return { sale, filter: { category: { $in: [...slugs] } }, matches: product => slugs.has(product.category) };
+        }
+
+        const brands = new Set(sale.brands);
+        return { sale, filter: { brand: { $in: sale.brands } }, matches: product => brands.has(product.brand) };
+    }));
+}
+
+// Cheapest live sale for a product: { sale, price }, or null when none beats its regular price
+function bestSale(product, liveSales) {
+    let best = null;
+    let bestPrice = regularPrice(product);
+
+    liveSales.forEach(({ sale, matches }) => {
+        if (!matches(product)) return;
+
+        const price = sale.salePrice(product.price);
+        if (price < bestPrice) {
+            best = sale;
+            bestPrice = price;
+        }
+    });
+
+    return best ? { sale: best, price: bestPrice } : null;
+}
+
+// Start, update and end sale prices so products match the sales running right now
+async function applySales(now = new Date()) {
+    const liveSales = await withMatchers(await Sale.findLive(now));
+
+    // Only products on sale now or covered by a live sale need a look
+    const candidates = [{ 'activeSale.sale': { $ne: null } }, ...liveSales.map(({ filter }) => filter)];
+    const products = await Product.find({ $or: candidates })
+        .select('name price discountPrice category brand activeSale');
+
+    let started = 0;
+    let ended = 0;
+
+    for (const product of products) {
+        const best = bestSale(product, liveSales);
+        const current = product.activeSale && product.activeSale.sale ? product.activeSale.sale.toString() : null;
+        const previous = { price: product.price, discountPrice: product.discountPrice };
+
+        if (best) {
+            const unchanged = current === best.sale._id.toString() &&
+                product.discountPrice === best.price &&
+                String(product.activeSale.endsAt) === String(best.sale.endsAt);
+            if (unchanged) continue;
+
+            await Product.updateOne({ _id: product._id }, {
+                $set: {
+                    discountPrice: best.price,
+                    activeSale: {
+                        sale: best.sale._id,
+                        name: best.sale.name,
+                        endsAt: best.sale.endsAt,
+                        regularDiscountPrice: regularDiscountPrice(product)
+                    }
+                }
+            });
+            await PriceHistory.record(product._id, previous, { price: product.price, discountPrice: best.price }, {
+                source: 'sale',
+                sale: best.sale._id,
+                note: `${best.sale.name} (${best.sale.getDiscountLabel()})`
+            });
+            started++;
+        } else if (current) {
+            const { sale: endedSale, name: endedName, regularDiscountPrice: regular } = product.activeSale;
+
+            await Product.updateOne({ _id: product._id }, regular
+                ? { $set: { discountPrice: regular }, $unset: { activeSale: 1 } }
+                : { $unset: { discountPrice: 1, activeSale: 1 } });
+            await PriceHistory.record(product._id, previous, { price: product.price, discountPrice: regular }, {
+                source: 'sale',
+                sale: endedSale,
+                note: `${endedName} ended`
+            });
+            ended++;
+        }
+    }
+
+    if (started > 0 || ended > 0) {
+        searchIndex.invalidate();
+    }
+
+    return { live: liveSales.length, started, ended };
+}
+
+// applySales(), but never two at once
+function refresh() {
+    if (!running) {
+        running = applySales().finally(() => {
+            running = null;
+        });
+    }
+    return running;
+}
+
+// Apply now and then every SALES_CHECK_MINUTES (default 1), so sales start and end on time
+function startSchedule() {
+    if (timer) return;
+
+    const minutes = parseFloat(process.env.SALES_CHECK_MINUTES) || DEFAULT_CHECK_MINUTES;
+    const run = () => refresh()
+        .then(result => {
+            if (result.started || result.ended) {
+                console.log(`Sales: ${result.started} product price(s) set, ${result.ended} sale price(s) ended`);
+            }
+        })
+        .catch(error => console.error('Sales schedule error:', error));
+
+    run();
+    timer = setInterval(run, minutes * 60 * 1000);
+    timer.unref();
+}
+
+module.exports = {
+    regularDiscountPrice,
+    applySales,
+    refresh,
+    startSchedule
+};
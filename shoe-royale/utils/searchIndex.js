@@ -0,0 +1,316 @@
+const mongoose = require('mongoose');
+
+// In-process inverted index over the product catalog.
+// Rebuilt lazily on the next search after it goes stale or is invalidated.
+
+// How much a term hit in each field counts towards relevance
+const FIELD_WEIGHTS = {
+    name: 10,
+    brand: 8,
+    category: 5,
+    description: 2
+};
+
+// Match quality multipliers
+const PREFIX_FACTOR = 0.8;
+const FUZZY_FACTOR = 0.6;
+
+const REBUILD_AFTER_MS = 5 * 60 * 1000; // 5 minutes
+
+// Search-as-you-type matches prefixes from the second character on
+const SUGGEST_PREFIX_MIN = 2;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+    'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with', 'shoe', 'shoes'
+]);
+
+let index = null;
+let building = null;
+
+// Light English suffix stripper ("running" -> "run", "boots" -> "boot")
+function stem(word) {
+    if (word.length <= 3) return word;
+    
+    let stemmed = word;
+    
+    if (stemmed.endsWith('ies') && stemmed.length > 4) {
+        stemmed = stemmed.slice(0, -3) + 'y';
+    } else if (stemmed.endsWith('es') && /(ss|x|ch|sh)es$/.test(stemmed)) {
+        stemmed = stemmed.slice(0, -2);
+    } else if (stemmed.endsWith('s') && !stemmed.endsWith('ss')) {
+        stemmed = stemmed.slice(0, -1);
+    }
+    
+    if (stemmed.endsWith('ing') && stemmed.length > 5) {
+        stemmed = stemmed.slice(0, -3);
+    } else if (stemmed.endsWith('ed') && stemmed.length > 4) {
+        stemmed = stemmed.slice(0, -2);
+    }
+    
+    // "runn" -> "run" after stripping -ing/-ed
+    if (/([^aeiouls])\1$/.test(stemmed)) {
+        stemmed = stemmed.slice(0, -1);
+    }
+    
+    return stemmed;
+}
+
+// Split text into normalized, stemmed terms
+function tokenize(text) {
+    if (!text) return [];
+    
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(stem);
+}
+
+// Edit distance with an early exit once it exceeds max
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + cost
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
+// Typos allowed for a term of this length
+function allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+async function buildIndex() {
+    const Product = mongoose.model('Product');
+    const products = await Product.find({}, 'name brand category description').lean();
+    
+    const postings = new Map();   // term -> Map(productId -> weighted hits)
+    const names = new Map();      // productId -> lowercased name for phrase bonus
+    const labels = { brand: new Map(), category: new Map() }; // value -> product count
+    
+    products.forEach(product => {
+        const id = product._id.toString();
+        names.set(id, (product.name || '').toLowerCase());
+        
+        Object.keys(labels).forEach(field => {
+            if (product[field]) {
+                labels[field].set(product[field], (labels[field].get(product[field]) || 0) + 1);
+            }
+        });
+        
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            tokenize(product[field]).forEach(term => {
+                if (!postings.has(term)) {
+                    postings.set(term, new Map());
+                }
+                const docs = postings.get(term);
+                docs.set(id, (docs.get(id) || 0) + weight);
+            });
+        });
+    });
+    
+    console.log(`🔎 Search index built: ${products.length} products, ${postings.size} terms`);
+    
+    return {
+        postings,
+        names,
+        labels,
+        vocabulary: [...postings.keys()],
+        builtAt: Date.now()
+    };
+}
+
+async function getIndex() {
+    if (index && Date.now() - index.builtAt < REBUILD_AFTER_MS) {
+        return index;
+    }
+    
+    if (!building) {
+        building = buildIndex()
+            .then(built => {
+                index = built;
+                return built;
+            })
+            .finally(() => {
+                building = null;
+            });
+    }
+    
+    return building;
+}
+
+// Vocabulary terms a query term should match, with a quality factor each
+function expandTerm(idx, term, prefixMin = 3) {
+    const matches = [];
+    
+    if (idx.postings.has(term)) {
+        matches.push({ term, factor: 1 });
+    }
+    
+    // "run" also finds "runner", "sneak" finds "sneaker"
+    if (term.length >= prefixMin) {
+        idx.vocabulary.forEach(candidate => {
+            if (candidate !== term && candidate.startsWith(term)) {
+                matches.push({ term: candidate, factor: PREFIX_FACTOR });
+            }
+        });
+    }
+    
+    // Only fall back to typo tolerance when nothing matched directly
+    if (matches.length === 0) {
+        const maxTypos = allowedTypos(term);
+        
+        if (maxTypos > 0) {
+            idx.vocabulary.forEach(candidate => {
+                if (editDistance(term, candidate, maxTypos) <= maxTypos) {
+                    matches.push({ term: candidate, factor: FUZZY_FACTOR });
+                }
+            });
+        }
+    }
+    
+    return matches;
+}
+
+// Score every product matching the query terms against an already-built index
+function rankProducts(idx, query, terms, prefixMin) {
+    const scores = new Map();
+    const matchedTerms = new Map();
+    
+    terms.forEach(term => {
+        expandTerm(idx, term, prefixMin).forEach(({ term: matched, factor }) => {
+            idx.postings.get(matched).forEach((hits, id) => {
+                scores.set(id, (scores.get(id) || 0) + hits * factor);
+                
+                if (!matchedTerms.has(id)) {
+                    matchedTerms.set(id, new Set());
+                }
+                matchedTerms.get(id).add(term);
+            });
+        });
+    });
+    
+    const phrase = String(query).trim().toLowerCase();
+    
+    return [...scores.entries()]
+        .map(([id, score]) => {
+            // Reward products that match more of the query terms
+            let finalScore = score * (matchedTerms.get(id).size / terms.length);
+            
+            if (phrase.length > 2 && idx.names.get(id).includes(phrase)) {
+                finalScore += FIELD_WEIGHTS.name * 2;
+            }
+            
+            return { id, score: Math.round(finalScore * 100) / 100 };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Search the catalog and return product ids ordered by relevance.
+ * @param {string} query - raw user input
+ * @returns {Promise<Array<{ id: string, score: number }>>}
+ */
+async function search(query) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+    
+    const idx = await getIndex();
+    return rankProducts(idx, query, terms);
+}
+
+// How well a brand or category name matches the query: every query term has to hit one
+// of its words (exactly, as a prefix, or within the typo allowance). 0 means no match.
+function labelScore(label, terms) {
+    const words = tokenize(label);
+    if (words.length === 0) return 0;
+    
+    let total = 0;
+    
+    for (const term of terms) {
+        let best = 0;
+        
+        words.forEach(word => {
+            if (word === term) {
+                best = 1;
+            } else if (term.length >= SUGGEST_PREFIX_MIN && word.startsWith(term)) {
+                best = Math.max(best, PREFIX_FACTOR);
+            } else if (allowedTypos(term) > 0 && editDistance(term, word, allowedTypos(term)) <= allowedTypos(term)) {
+                best = Math.max(best, FUZZY_FACTOR);
+            }
+        });
+        
+        if (best === 0) return 0;
+        total += best;
+    }
+    
+    return total / terms.length;
+}
+
+/**
+ * Search-as-you-type suggestions: ranked products plus matching brands and categories.
+ * @param {string} query - raw, possibly partial, user input
+ * @param {number} [limit=5] - maximum entries per group
+ * @returns {Promise<{ products: Array<{ id: string, score: number }>,
+ *   brands: Array<{ value: string, count: number }>, categories: Array<{ value: string, count: number }> }>}
+ */
+async function suggest(query, limit = 5) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) {
+        return { products: [], brands: [], categories: [] };
+    }
+    
+    const idx = await getIndex();
+    
+    // Better matches first, then the values with more products
+    const rankLabels = (field) => [...idx.labels[field].entries()]
+        .map(([value, count]) => ({ value, count, score: labelScore(value, terms) }))
+        .filter(label => label.score > 0)
+        .sort((a, b) => b.score - a.score || b.count - a.count)
+        .slice(0, limit)
+        .map(({ value, count }) => ({ value, count }));
+    
+    return {
+        products: rankProducts(idx, query, terms, SUGGEST_PREFIX_MIN).slice(0, limit),
+        brands: rankLabels('brand'),
+        categories: rankLabels('category')
+    };
+}
+
+// Force a rebuild on the next search (call after catalog changes)
+function invalidate() {
+    if (index) {
+        index.builtAt = 0;
+    }
+}
+
+module.exports = {
+    search,
+    suggest,
+    invalidate,
+    tokenize,
+    stem
+};
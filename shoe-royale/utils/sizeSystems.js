@@ -0,0 +1,191 @@
+// Shoe size systems and conversion between them.
+// Stock is always stored in the product's base system; conversion only happens for display.
+
+const SIZE_SYSTEMS = ['US', 'UK', 'EU', 'CM'];
+const SIZE_GENDERS = ['men', 'women', 'unisex', 'kids'];
+const SIZE_FITS = ['narrow', 'regular', 'wide'];
+const DEFAULT_SYSTEM = 'US';
+const DEFAULT_GENDER = 'unisex';
+
+// Conversion charts, one row per size step: [US, UK, EU, CM]
+const CHARTS = {
+    men: [
+        [5, 4.5, 37.5, 23],
+        [5.5, 5, 38, 23.5],
+        [6, 5.5, 39, 24],
+        [6.5, 6, 39.5, 24.5],
+        [7, 6.5, 40, 25],
+        [7.5, 7, 40.5, 25.5],
+        [8, 7.5, 41, 26],
+        [8.5, 8, 42, 26.5],
+        [9, 8.5, 42.5, 27],
+        [9.5, 9, 43, 27.5],
+        [10, 9.5, 44, 28],
+        [10.5, 10, 44.5, 28.5],
+        [11, 10.5, 45, 29],
+        [11.5, 11, 45.5, 29.5],
+        [12, 11.5, 46, 30],
+        [13, 12.5, 47.5, 31],
+        [14, 13.5, 48.5, 32]
+    ],
+    women: [
+        [4, 2, 34.5, 21],
+        [4.5, 2.5, 35, 21.5],
+        [5, 3, 35.5, 22],
+        [5.5, 3.5, 36, 22.5],
+        [6, 4, 36.5, 23],
+        [6.5, 4.5, 37, 23.5],
+        [7, 5, 37.5, 24],
+        [7.5, 5.5, 38, 24.5],
+        [8, 6, 38.5, 25],
+        [8.5, 6.5, 39, 25.5],
+        [9, 7, 40, 26],
+        [9.5, 7.5, 40.5, 26.5],
+        [10, 8, 41, 27],
+        [10.5, 8.5, 42, 27.5],
+        [11, 9, 42.5, 28],
+        [12, 10, 44, 29]
+    ],
+    // Big kids (youth) sizes
+    kids: [
+        [1, 0.5, 32, 19.5],
+        [1.5, 1, 33, 20],
+        [2, 1.5, 33.5, 20.5],
+        [2.5, 2, 34, 21],
+        [3, 2.5, 35, 21.5],
+        [3.5, 3, 35.5, 22],
+        [4, 3.5, 36, 22.5],
+        [4.5, 4, 36.5, 23],
+        [5, 4.5, 37.5, 23.5],
+        [5.5, 5, 38, 24],
+        [6, 5.5, 38.5, 24.5],
+        [6.5, 6, 39, 25],
+        [7, 6.5, 40, 25.5]
+    ]
+};
+
+// Unisex styles are sized on the men's chart
+CHARTS.unisex = CHARTS.men;
+
+function normalizeSystem(system) {
+    const value = String(system || '').trim().toUpperCase();
+    return SIZE_SYSTEMS.includes(value) ? value : null;
+}
+
+function normalizeGender(gender) {
+    const value = String(gender || '').trim().toLowerCase();
+    return SIZE_GENDERS.includes(value) ? value : DEFAULT_GENDER;
+}
+
+// "8.5", "8½" and "8,5" all mean 8.5; sizes snap to the nearest half
+function parseSize(value) {
+    if (typeof value === 'number') {
+        return isFinite(value) && value > 0 ? Math.round(value * 2) / 2 : null;
+    }
+
+    const text = String(value || '').trim().replace('½', '.5').replace(',', '.');
+    const size = parseFloat(text);
+    return isFinite(size) && size > 0 ? Math.round(size * 2) / 2 : null;
+}
+
+// Chart rows as { US, UK, EU, CM } objects
+function chartFor(gender) {
+    return CHARTS[normalizeGender(gender)].map(row => ({
+        US: row[0],
+        UK: row[1],
+        EU: row[2],
+        CM: row[3]
+    }));
+}
+
+/**
+ * Convert a size between systems on the chart for the given gender.
+ * Sizes that fall between chart rows are interpolated and snapped to a half size.
+ * @returns {number|null} null when the size is off the chart
+ */
+function convertSize(size, from, to, gender) {
+    const fromSystem = normalizeSystem(from) || DEFAULT_SYSTEM;
+    const toSystem = normalizeSystem(to) || fromSystem;
+    const value = parseSize(size);
+
+    if (value === null) return null;
+    if (fromSystem === toSystem) return value;
+
+    const chart = chartFor(gender);
+    const exact = chart.find(row => row[fromSystem] === value);
+    if (exact) return exact[toSystem];
+
+    for (let i = 0; i < chart.length - 1; i++) {
+        const low = chart[i];
+        const high = chart[i + 1];
+
+        if (value > low[fromSystem] && value < high[fromSystem]) {
+            const ratio = (value - low[fromSystem]) / (high[fromSystem] - low[fromSystem]);
+            return Math.round((low[toSystem] + ratio * (high[toSystem] - low[toSystem])) * 2) / 2;
+        }
+    }
+
+    return null;
+}
+
+// 8 -> "8", 8.5 -> "8.5" (sizes are already snapped to halves, so no float noise)
+function formatSizeValue(size) {
+    return String(size);
+}
+
+/**
+ * Human-readable size in the shopper's preferred system, e.g. "UK 7.5".
+ * @param {number} size - size in the item's base system
+ * @param {{ sizeSystem?: string, gender?: string }} [item] - product, cart line or order line
+ * @param {string} [preferred] - system to show; defaults to the item's own
+ */
+function formatSize(size, item = {}, preferred) {
+    const base = normalizeSystem(item && item.sizeSystem) || DEFAULT_SYSTEM;
+    const target = normalizeSystem(preferred) || base;
+    const converted = convertSize(size, base, target, item && item.gender);
+
+    // Off-chart sizes are shown as stocked rather than guessed
+    if (converted === null) {
+        const value = parseSize(size);
+        return value === null ? String(size) : `${base} ${formatSizeValue(value)}`;
+    }
+
+    return `${target} ${formatSizeValue(converted)}`;
+}
+
+// Sizes on offer in one system, for the admin stock grid
+function sizeRange(system, gender) {
+    const key = normalizeSystem(system) || DEFAULT_SYSTEM;
+    return [...new Set(chartFor(gender).map(row => row[key]))].sort((a, b) => a - b);
+}
+
+// Every system's size range per gender, for switching the admin grid client-side
+function allSizeRanges() {
+    const ranges = {};
+
+    SIZE_GENDERS.forEach(gender => {
+        ranges[gender] = {};
+        SIZE_SYSTEMS.forEach(system => {
+            ranges[gender][system] = sizeRange(system, gender);
+        });
+    });
+
+    return ranges;
+}
+
+module.exports = {
+    SIZE_SYSTEMS,
+    SIZE_GENDERS,
+    SIZE_FITS,
+    DEFAULT_SYSTEM,
+    DEFAULT_GENDER,
+    normalizeSystem,
+    normalizeGender,
+    parseSize,
+    chartFor,
+    convertSize,
+    formatSizeValue,
+    formatSize,
+    sizeRange,
+    allSizeRanges
+};
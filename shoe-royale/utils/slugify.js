@@ -0,0 +1,13 @@
+// URL slugs shared by categories, brands and products
+
+// "Royal Heritage" -> "royal-heritage", "Émile & Co." -> "emile-co"
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+module.exports = slugify;
@@ -0,0 +1,83 @@
+const StockAlert = require('../models/StockAlert');
+const Product = require('../models/Product');
+const notifications = require('./notifications');
+
+// Back-in-stock alerts. Shoppers subscribe to a sold-out size (and color); when a restock
+// brings it back, notifyRestocked() queues one notification per subscriber and marks
+// their alerts as notified. Subscribing again re-arms a notified alert.
+
+function alertKey(userId, productId, size, color) {
+    return { user: userId, product: productId, size: Number(size), color: color || '' };
+}
+
+async function subscribe(userId, productId, size, color) {
+    return StockAlert.findOneAndUpdate(
+        alertKey(userId, productId, size, color),
+        { $set: { status: 'active' }, $unset: { notifiedAt: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+async function unsubscribe(userId, productId, size, color) {
+    const result = await StockAlert.deleteOne(alertKey(userId, productId, size, color));
+    return result.deletedCount > 0;
+}
+
+async function isSubscribed(userId, productId, size, color) {
+    return Boolean(await StockAlert.exists({ ...alertKey(userId, productId, size, color), status: 'active' }));
+}
+
+/**
+ * Queue notifications for every active alert on `product` that is in stock again.
+ * Call after saving a stock change.
+ * @param {object} product - the saved Product document
+ * @param {object} [options]
+ * @param {string} [options.siteUrl] - origin for the product link in the message
+ * @returns {Promise<number>} notifications queued
+ */
+async function notifyRestocked(product, options = {}) {
+    const alerts = await StockAlert.find({ product: product._id, status: 'active' })
+        .populate('user', 'name email');
+
+    const restocked = alerts.filter(alert => product.getStock(alert.size, alert.color || undefined) > 0);
+    if (restocked.length === 0) return 0;
+
+    const url = `${options.siteUrl || ''}${Product.urlFor(product)}`;
+    const messages = restocked
+        .filter(alert => alert.user && alert.user.email)
+        .map(alert => {
+            const variant = product.displaySize(alert.size) + (alert.color ? `, ${alert.color}` : '');
+
+            return {
+                user: alert.user._id,
+                type: 'back-in-stock',
+                to: alert.user.email,
+                subject: `Back in stock: ${product.name}`,
+                body: `Hi ${alert.user.name},\n\n` +
+                    `${product.name} (${variant}) is back in stock at Royal Footwear.\n\n` +
+                    `Shop it now: ${url}\n\n` +
+                    'Popular sizes sell out quickly, so don\'t wait too long!',
+                data: {
+                    product: product._id,
+                    size: alert.size,
+                    color: alert.color,
+                    url
+                }
+            };
+        });
+
+    await notifications.queue(messages);
+    await StockAlert.updateMany(
+        { _id: { $in: restocked.map(alert => alert._id) } },
+        { $set: { status: 'notified', notifiedAt: new Date() } }
+    );
+
+    return messages.length;
+}
+
+module.exports = {
+    subscribe,
+    unsubscribe,
+    isSubscribed,
+    notifyRestocked
+};